@@ -0,0 +1,204 @@
+/**
+ * Chat Markers - adapters.js
+ * Site adapters: everything that depends on a particular chat site's URLs and DOM.
+ *
+ * Each adapter defines:
+ *   id / name / hosts       identification; `id` namespaces storage keys
+ *   keyNamespace            storage key namespace ('' keeps legacy ChatGPT keys)
+ *   getChatId(loc)          conversation id from a Location, or null
+ *   getProjectPath(loc)     project / custom GPT / Gem path, or null
+ *   findMessages()          message elements in document order
+ *   getRole(el)             'user' | 'assistant' | 'unknown'
+ *   getMessageId(el)        stable message id, or null
+ *   isStreaming(el)         true while an answer is still being generated into el
+ *   getScrollContainer()    element that scrolls the conversation
+ *   getTitle(chatId)        conversation title, or null
+ *   conversationUrl(chatId) link back to the conversation
+ */
+'use strict';
+
+/** Drop matches nested inside other matches so each message is counted once */
+function outermostElements(nodes) {
+  return nodes.filter(el => !nodes.some(other => other !== el && other.contains(el)));
+}
+
+/** Nearest ancestor that actually scrolls vertically */
+function findScrollableAncestor(el) {
+  for (let node = el?.parentElement; node && node !== document.body; node = node.parentElement) {
+    const { overflowY } = getComputedStyle(node);
+    if ((overflowY === 'auto' || overflowY === 'scroll') && node.scrollHeight > node.clientHeight) return node;
+  }
+  return document.scrollingElement || document.documentElement;
+}
+
+/** Whether el is the last message on the page, the one a running generation writes into */
+function isLastMessage(adapter, el) {
+  const all = adapter.findMessages();
+  return all[all.length - 1] === el;
+}
+
+function stripTitleSuffix(title, siteName) {
+  const cleaned = (title || '').replace(new RegExp(`\\s*[-|–]\\s*${siteName}\\s*$`, 'i'), '').trim();
+  return cleaned && cleaned.toLowerCase() !== siteName.toLowerCase() ? cleaned : null;
+}
+
+const CHATGPT_PATH_RE = /\/(?:c|chat|share|(g\/[^/]+)\/c)\/([a-zA-Z0-9_-]{8,})/;
+
+const SITE_ADAPTERS = [
+  {
+    id: 'chatgpt',
+    name: 'ChatGPT',
+    hosts: ['chatgpt.com', 'chat.openai.com'],
+    keyNamespace: '',
+    getChatId(loc) {
+      const match = loc.pathname.match(CHATGPT_PATH_RE);
+      return match ? match[2] : null;
+    },
+    getProjectPath(loc) {
+      const match = loc.pathname.match(CHATGPT_PATH_RE);
+      return match && match[1] ? match[1] : null;
+    },
+    findMessages() {
+      const nodes = Array.from(document.querySelectorAll('[data-message-author-role]'));
+      if (nodes.length > 0) return nodes;
+      return Array.from(document.querySelectorAll(
+        '[class*="ConversationTurn"], [class*="conversation-turn"], article'
+      ));
+    },
+    getRole(el) {
+      return el.getAttribute('data-message-author-role') || 'unknown';
+    },
+    getMessageId(el) {
+      return el.getAttribute('data-message-id')
+        || el.closest('[data-message-id]')?.getAttribute('data-message-id') || null;
+    },
+    isStreaming(el) {
+      if (this.getRole(el) !== 'assistant') return false;
+      return !!el.querySelector('.result-streaming')
+        || (!!document.querySelector('[data-testid="stop-button"]') && isLastMessage(this, el));
+    },
+    getScrollContainer() {
+      return findScrollableAncestor(document.querySelector('[data-message-author-role]'));
+    },
+    getTitle(chatId) {
+      const link = chatId && document.querySelector(`nav a[href$="/c/${CSS.escape(chatId)}"]`);
+      const fromNav = link && link.textContent.trim();
+      return fromNav || stripTitleSuffix(document.title, 'ChatGPT');
+    },
+    conversationUrl(chatId) {
+      return `https://chatgpt.com/c/${encodeURIComponent(chatId)}`;
+    }
+  },
+  {
+    id: 'claude',
+    name: 'Claude',
+    hosts: ['claude.ai'],
+    keyNamespace: 'claude',
+    getChatId(loc) {
+      const match = loc.pathname.match(/\/chat\/([a-zA-Z0-9_-]{8,})/);
+      return match ? match[1] : null;
+    },
+    getProjectPath() {
+      return null;
+    },
+    findMessages() {
+      return outermostElements(Array.from(document.querySelectorAll(
+        '[data-testid="user-message"], .font-claude-response, .font-claude-message'
+      )));
+    },
+    getRole(el) {
+      return el.matches('[data-testid="user-message"]') ? 'user' : 'assistant';
+    },
+    getMessageId() {
+      return null;
+    },
+    isStreaming(el) {
+      return !!el.closest('[data-is-streaming="true"]') || !!el.querySelector('[data-is-streaming="true"]');
+    },
+    getScrollContainer() {
+      return findScrollableAncestor(document.querySelector('[data-testid="user-message"], .font-claude-message'));
+    },
+    getTitle() {
+      return stripTitleSuffix(document.title, 'Claude');
+    },
+    conversationUrl(chatId) {
+      return `https://claude.ai/chat/${encodeURIComponent(chatId)}`;
+    }
+  },
+  {
+    id: 'gemini',
+    name: 'Gemini',
+    hosts: ['gemini.google.com'],
+    keyNamespace: 'gemini',
+    getChatId(loc) {
+      const match = loc.pathname.match(/\/(?:app|gem\/[^/]+)\/([a-zA-Z0-9_-]{8,})/);
+      return match ? match[1] : null;
+    },
+    getProjectPath(loc) {
+      const match = loc.pathname.match(/\/(gem\/[^/]+)\//);
+      return match ? match[1] : null;
+    },
+    findMessages() {
+      return Array.from(document.querySelectorAll('user-query, model-response'));
+    },
+    getRole(el) {
+      return el.tagName.toLowerCase() === 'user-query' ? 'user' : 'assistant';
+    },
+    getMessageId(el) {
+      const turn = el.closest('.conversation-container');
+      return turn && turn.id ? `${turn.id}:${this.getRole(el)}` : null;
+    },
+    isStreaming(el) {
+      if (this.getRole(el) !== 'assistant') return false;
+      return !!document.querySelector('button[aria-label="Stop response"]') && isLastMessage(this, el);
+    },
+    getScrollContainer() {
+      return document.querySelector('infinite-scroller, #chat-history')
+        || findScrollableAncestor(document.querySelector('user-query, model-response'));
+    },
+    getTitle() {
+      const selected = document.querySelector('.conversation.selected .conversation-title');
+      return (selected && selected.textContent.trim()) || stripTitleSuffix(document.title, 'Gemini');
+    },
+    conversationUrl(chatId) {
+      return `https://gemini.google.com/app/${encodeURIComponent(chatId)}`;
+    }
+  }
+];
+
+/** Adapter for a hostname, or null if the site is not supported */
+function adapterForHost(hostname) {
+  return SITE_ADAPTERS.find(a => a.hosts.some(h => hostname === h || hostname.endsWith('.' + h))) || null;
+}
+
+/** Storage key for a conversation on a site */
+function buildChatKey(adapter, chatId) {
+  return MARKER_KEY_PREFIX + (adapter.keyNamespace ? adapter.keyNamespace + '::' : '') + chatId;
+}
+
+/** Split a storage key into its site adapter and conversation id */
+function parseChatKey(key) {
+  const rest = key.startsWith(MARKER_KEY_PREFIX) ? key.slice(MARKER_KEY_PREFIX.length) : key;
+  const sep = rest.indexOf('::');
+  if (sep !== -1) {
+    const adapter = SITE_ADAPTERS.find(a => a.keyNamespace && a.keyNamespace === rest.slice(0, sep));
+    if (adapter) return { adapter, chatId: rest.slice(sep + 2) };
+  }
+  return { adapter: SITE_ADAPTERS[0], chatId: rest };
+}
+
+/** Storage key and canonical URL for a pasted conversation link, or null if it is not one */
+function chatKeyForUrl(href) {
+  let url;
+  try { url = new URL(String(href).trim()); } catch (e) { return null; }
+  const adapter = adapterForHost(url.hostname);
+  const chatId = adapter && adapter.getChatId(url);
+  return chatId ? { key: buildChatKey(adapter, chatId), url: url.origin + url.pathname } : null;
+}
+
+/** Link to a stored conversation: its recorded URL, or one built from the key */
+function conversationUrl(meta, key) {
+  if (meta && meta.url) return meta.url;
+  const { adapter, chatId } = parseChatKey(key);
+  return adapter.conversationUrl(chatId);
+}
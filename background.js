@@ -0,0 +1,238 @@
+/**
+ * Chat Markers - background.js
+ * Service worker: routes browser-level events (keyboard commands, context menu
+ * entries) to the content script, shows follow-up reminders, takes scheduled restore points (backup.js)
+ * and runs the optional cross-device sync (sync.js).
+ */
+'use strict';
+
+importScripts('common.js', 'adapters.js', 'sync.js', 'backup.js');
+
+const SYNC_ALARM = 'cm-sync';
+const SYNC_PERIOD_MINUTES = 15;
+const SYNC_DEBOUNCE_MS = 2000;
+
+/** Send a message to the content script in a tab; ignores tabs without one */
+async function sendToTab(tabId, message) {
+  try {
+    await chrome.tabs.sendMessage(tabId, message);
+  } catch (e) {
+    // No Chat Markers content script on this page
+  }
+}
+
+async function sendToActiveTab(message) {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (tab && tab.id !== undefined) await sendToTab(tab.id, message);
+}
+
+chrome.commands.onCommand.addListener(command => {
+  sendToActiveTab({ type: 'cm-command', command });
+});
+
+// ─── Context Menu ─────────────────────────────────────────────────────────────
+// Item ids double as content.js COMMANDS names
+const CONTEXT_MENU_ITEMS = [
+  { id: 'mark-message', title: 'Mark this message', contexts: ['page', 'link', 'image'] },
+  { id: 'note-selection', title: 'Add note to selection', contexts: ['selection'] }
+];
+
+/** (Re)create the entries, shown only on the supported chat sites */
+function createContextMenus() {
+  const documentUrlPatterns = chrome.runtime.getManifest().content_scripts[0].matches;
+  chrome.contextMenus.removeAll(() => {
+    CONTEXT_MENU_ITEMS.forEach(item => chrome.contextMenus.create({ ...item, documentUrlPatterns }));
+  });
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (tab && tab.id !== undefined) sendToTab(tab.id, { type: 'cm-command', command: info.menuItemId });
+});
+
+// ─── Reminders ────────────────────────────────────────────────────────────────
+const REMINDER_ALARM = 'cm-reminder';
+const NOTIFICATION_PREFIX = 'cm-due|';
+let reminderTimer = null;
+
+function scheduleReminderCheck() {
+  clearTimeout(reminderTimer);
+  reminderTimer = setTimeout(checkReminders, SYNC_DEBOUNCE_MS);
+}
+
+/** Notify about follow-ups that have come due and set an alarm for the next one */
+async function checkReminders() {
+  const all = await chrome.storage.local.get(null);
+  const now = Date.now();
+  let next = Infinity;
+  const writes = {};
+  Object.keys(all).filter(k => k.startsWith(MARKER_KEY_PREFIX)).forEach(key => {
+    const entry = normalizeEntry(all[key], key);
+    let touched = false;
+    entry.markers = entry.markers.map(m => {
+      if (needsReminder(m, now)) {
+        showReminder(key, entry.meta, m);
+        touched = true;
+        return { ...m, remindedAt: new Date(now).toISOString() };
+      }
+      if (markerStatus(m) !== 'done' && m.dueAt && !isFollowUpDue(m, now)) {
+        next = Math.min(next, new Date(m.dueAt).getTime());
+      }
+      return m;
+    });
+    if (touched) writes[key] = entry;
+  });
+  if (Object.keys(writes).length > 0) await chrome.storage.local.set(writes);
+  if (next < Infinity) chrome.alarms.create(REMINDER_ALARM, { when: next });
+  else chrome.alarms.clear(REMINDER_ALARM);
+}
+
+function showReminder(key, meta, marker) {
+  chrome.notifications.create(`${NOTIFICATION_PREFIX}${key}|${marker.id}`, {
+    type: 'basic',
+    iconUrl: 'icon.png',
+    title: `Follow-up: ${conversationLabel(meta, key)}`,
+    message: marker.note.replace(/\s+/g, ' ').slice(0, 140),
+    buttons: [{ title: '✓ Mark done' }, { title: `Snooze ${SNOOZE_DAYS} day` }],
+    priority: 1
+  });
+}
+
+/** `{ key, markerId }` from a reminder notification id, or null */
+function parseNotificationId(id) {
+  if (!id.startsWith(NOTIFICATION_PREFIX)) return null;
+  const rest = id.slice(NOTIFICATION_PREFIX.length);
+  const sep = rest.lastIndexOf('|');
+  return { key: rest.slice(0, sep), markerId: rest.slice(sep + 1) };
+}
+
+chrome.notifications.onClicked.addListener(async id => {
+  const ref = parseNotificationId(id);
+  if (!ref) return;
+  const { [ref.key]: raw } = await chrome.storage.local.get(ref.key);
+  const { meta } = normalizeEntry(raw, ref.key);
+  chrome.tabs.create({ url: `${conversationUrl(meta, ref.key)}#cm-marker=${encodeURIComponent(ref.markerId)}` });
+  chrome.notifications.clear(id);
+});
+
+chrome.notifications.onButtonClicked.addListener(async (id, buttonIndex) => {
+  const ref = parseNotificationId(id);
+  if (!ref) return;
+  await updateStoredMarker(ref.key, ref.markerId, m => withStatus(m, buttonIndex === 0 ? 'done' : 'snoozed'));
+  chrome.notifications.clear(id);
+});
+
+// ─── Backups ──────────────────────────────────────────────────────────────────
+/** Keep the backup alarm in step with the interval setting */
+async function scheduleBackups() {
+  const { backupIntervalHours } = await loadSettings();
+  if (!backupIntervalHours) { await chrome.alarms.clear(BACKUP_ALARM); return; }
+  const period = backupIntervalHours * 60;
+  const existing = await chrome.alarms.get(BACKUP_ALARM);
+  if (existing && existing.periodInMinutes === period) return;
+  chrome.alarms.create(BACKUP_ALARM, { delayInMinutes: period, periodInMinutes: period });
+}
+
+async function runScheduledBackup(reason = 'auto') {
+  const item = await createBackup(reason);
+  if (item && (await loadSettings()).backupDownload) await downloadBackup(item);
+}
+
+const OFFSCREEN_URL = 'offscreen.html';
+const BACKUP_DOWNLOAD_NOTIFICATION = 'cm-backup-download';
+
+/**
+ * A Blob URL for `text`, made in the offscreen document: restore points run to
+ * megabytes, far more than a data: URL can carry.
+ */
+async function blobUrl(text, mimeType) {
+  if (!(await chrome.offscreen.hasDocument())) {
+    await chrome.offscreen.createDocument({
+      url: OFFSCREEN_URL, reasons: ['BLOBS'], justification: 'Save restore points to the Downloads folder'
+    });
+  }
+  const { url } = await chrome.runtime.sendMessage({ type: 'cm-blob-url', text, mimeType });
+  return url;
+}
+
+/** Save a restore point to Downloads/chat-markers-backups/ */
+async function downloadBackup(item) {
+  try {
+    await chrome.downloads.download({
+      url: await blobUrl(backupExportJson(item), 'application/json'),
+      filename: `chat-markers-backups/${backupFileName(item)}`,
+      conflictAction: 'uniquify',
+      saveAs: false
+    });
+  } catch (e) {
+    showBackupDownloadError(e.message || String(e));
+  }
+}
+
+function showBackupDownloadError(reason) {
+  chrome.notifications.create(BACKUP_DOWNLOAD_NOTIFICATION, {
+    type: 'basic',
+    iconUrl: 'icon.png',
+    title: 'Restore point not saved to Downloads',
+    message: `Downloading the backup file failed: ${reason}`,
+    priority: 1
+  });
+}
+
+// Downloads fail after they start, too; report those and free the Blob URLs once ours are all done
+chrome.downloads.onChanged.addListener(async delta => {
+  if (!delta.state || delta.state.current === 'in_progress') return;
+  const [download] = await chrome.downloads.search({ id: delta.id });
+  if (!download || download.byExtensionId !== chrome.runtime.id) return;
+  if (delta.state.current === 'interrupted') showBackupDownloadError(download.error || 'download interrupted');
+  const running = await chrome.downloads.search({ state: 'in_progress' });
+  if (!running.some(d => d.byExtensionId === chrome.runtime.id) && (await chrome.offscreen.hasDocument())) {
+    await chrome.offscreen.closeDocument();
+  }
+});
+
+// ─── Sync ─────────────────────────────────────────────────────────────────────
+let syncTimer = null;
+
+/** Coalesce bursts of storage writes into one sync run */
+function scheduleSync() {
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(() => syncNow().catch(e => console.error('[ChatMarkers] Sync error:', e)), SYNC_DEBOUNCE_MS);
+}
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  const keys = Object.keys(changes);
+  const markersChanged = keys.some(k => k.startsWith(MARKER_KEY_PREFIX));
+  // Settings change often (list sort, grouping); only turning sync on or off needs a run
+  const syncToggled = keys.includes(SETTINGS_KEY)
+    && !!(changes[SETTINGS_KEY].newValue || {}).syncEnabled !== !!(changes[SETTINGS_KEY].oldValue || {}).syncEnabled;
+  if (area === 'local' && (markersChanged || syncToggled)) scheduleSync();
+  if (area === 'local' && markersChanged) scheduleReminderCheck();
+  if (area === 'local' && keys.includes(SETTINGS_KEY)) scheduleBackups();
+  if (area === 'sync' && keys.some(k => k.startsWith(SYNC_PREFIX))) scheduleSync();
+});
+
+// Periodic run as a fallback for changes missed while the worker was asleep
+chrome.alarms.create(SYNC_ALARM, { periodInMinutes: SYNC_PERIOD_MINUTES });
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name === SYNC_ALARM) scheduleSync();
+  if (alarm.name === REMINDER_ALARM) checkReminders();
+  if (alarm.name === BACKUP_ALARM) runScheduledBackup();
+});
+chrome.runtime.onStartup.addListener(() => { scheduleSync(); scheduleReminderCheck(); scheduleBackups(); });
+chrome.runtime.onInstalled.addListener(details => {
+  createContextMenus();
+  scheduleReminderCheck();
+  scheduleBackups();
+  // Keep a copy of the data as it was before a new version migrates it
+  if (details.reason === 'update') runScheduledBackup('update');
+});
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message && message.type === 'cm-sync-now') {
+    syncNow()
+      .then(result => sendResponse({ ok: true, ...result }))
+      .catch(e => sendResponse({ ok: false, error: e.message || String(e) }));
+    return true;
+  }
+  return false;
+});
@@ -0,0 +1,158 @@
+/**
+ * Chat Markers - backup.js
+ * Restore points of every conversation: taken on a schedule by background.js
+ * (optionally also saved to the Downloads folder), listed, compared and
+ * restored from the options page.
+ *
+ *   cm_backups → { items: [{ id, createdAt, reason, hash, bytes, conversations, markers, data }] }
+ *
+ * `data` maps `chat_markers::` keys to their entries as stored. Newest first.
+ */
+'use strict';
+
+const BACKUP_ALARM = 'cm-backup';
+const BACKUP_REASONS = { auto: 'Automatic', manual: 'Manual', update: 'Before update', 'before-restore': 'Before restore' };
+
+async function loadBackups() {
+  const { [BACKUPS_KEY]: stored } = await chrome.storage.local.get(BACKUPS_KEY);
+  return (stored && stored.items) || [];
+}
+
+const BACKUP_QUOTA_SHARE = 0.4;             // restore points never take more than this share of local storage
+const LIVE_DATA_HEADROOM = 2 * 1024 * 1024; // and always leave this much free for the notes themselves
+
+/** Bytes restore points may take up, given what everything else in local storage uses now */
+async function backupBudget() {
+  const [total, backups] = await Promise.all([
+    chrome.storage.local.getBytesInUse(null), chrome.storage.local.getBytesInUse(BACKUPS_KEY)
+  ]);
+  const quota = chrome.storage.local.QUOTA_BYTES;
+  return Math.min(quota * BACKUP_QUOTA_SHARE, quota - (total - backups) - LIVE_DATA_HEADROOM);
+}
+
+/** Store restore points as given, newest first */
+async function saveBackups(items) {
+  await chrome.storage.local.set({ [BACKUPS_KEY]: { items } });
+}
+
+/**
+ * `item` in front of the older restore points `items`, without the oldest ones
+ * that no longer fit the budget. Null when `item` does not fit even on its own:
+ * it must not push out restore points that do.
+ */
+async function fitBackups(item, items) {
+  const budget = await backupBudget();
+  let bytes = byteLength(JSON.stringify(item));
+  if (bytes > budget) return null;
+  const kept = [item];
+  for (const older of items) {
+    bytes += byteLength(JSON.stringify(older));
+    if (bytes > budget) break;
+    kept.push(older);
+  }
+  return kept;
+}
+
+function conversationData(all) {
+  return Object.fromEntries(Object.entries(all).filter(([k]) => k.startsWith(MARKER_KEY_PREFIX)));
+}
+
+/**
+ * Snapshot every conversation. Scheduled snapshots are skipped (null) when
+ * nothing changed since the newest restore point. `kept` is false when local
+ * storage had no room for it; it can then still be downloaded or restored.
+ */
+async function createBackup(reason = 'auto') {
+  const [all, settings, items] = await Promise.all([chrome.storage.local.get(null), loadSettings(), loadBackups()]);
+  const data = conversationData(all);
+  const hash = hashString(stableStringify(data));
+  if (reason === 'auto' && items[0] && items[0].hash === hash) return null;
+  const keys = Object.keys(data);
+  const item = {
+    id: 'backup-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    createdAt: new Date().toISOString(),
+    reason,
+    hash,
+    bytes: byteLength(JSON.stringify(data)),
+    conversations: keys.length,
+    markers: keys.reduce((n, k) => n + normalizeEntry(data[k], k).markers.length, 0),
+    data
+  };
+  const kept = await fitBackups(item, items.slice(0, Math.max(1, settings.backupKeep) - 1));
+  if (kept) await saveBackups(kept);
+  return { ...item, kept: !!kept };
+}
+
+/** A restore point in the "Export All" format, so the file can also be imported */
+function backupExportJson(item) {
+  return JSON.stringify({
+    exportedAt: item.createdAt,
+    schemaVersion: SCHEMA_VERSION,
+    conversations: Object.entries(item.data).map(([key, raw]) => ({ key, ...normalizeEntry(raw, key) }))
+  }, null, 2);
+}
+
+function backupFileName(item) {
+  return `chat-markers-backup-${item.createdAt.slice(0, 19).replace(/[T:]/g, '-')}.json`;
+}
+
+// ── Comparing ──
+
+/**
+ * What changed between a restore point and the current data, per conversation:
+ * `{ key, meta, status: 'same' | 'changed' | 'added' | 'removed', added, removed, changed }`.
+ * `added` markers exist now but not in the restore point; `removed` the other way round;
+ * `changed` lists `{ before, after }` pairs.
+ */
+function diffBackup(backupData, currentData) {
+  const keys = new Set([...Object.keys(backupData), ...Object.keys(currentData)]);
+  return [...keys].map(key => {
+    const before = key in backupData ? normalizeEntry(backupData[key], key) : null;
+    const after = key in currentData ? normalizeEntry(currentData[key], key) : null;
+    const beforeById = new Map((before ? before.markers : []).map(m => [m.id, m]));
+    const afterById = new Map((after ? after.markers : []).map(m => [m.id, m]));
+    const added = [...afterById.values()].filter(m => !beforeById.has(m.id));
+    const removed = [...beforeById.values()].filter(m => !afterById.has(m.id));
+    const changed = [...afterById.values()]
+      .filter(m => beforeById.has(m.id) && stableStringify(m) !== stableStringify(beforeById.get(m.id)))
+      .map(m => ({ before: beforeById.get(m.id), after: m }));
+    const status = !before ? 'added' : !after ? 'removed'
+      : added.length || removed.length || changed.length ? 'changed' : 'same';
+    return { key, meta: (after || before).meta, status, added, removed, changed };
+  });
+}
+
+// ── Restoring ──
+
+/**
+ * Put conversations back as they were in a restore point; `keys` defaults to
+ * every conversation in it or stored now, so a full restore also removes
+ * conversations created since. A 'before-restore' point is taken first and
+ * returned, so the restore can be undone by restoring that.
+ * Restored markers that differ from the current ones get a fresh `updatedAt`
+ * so sync does not bring the newer versions back.
+ */
+async function restoreBackup(item, keys = null) {
+  const undoPoint = await createBackup('before-restore');
+  const current = conversationData(await chrome.storage.local.get(null));
+  const targets = keys || [...new Set([...Object.keys(item.data), ...Object.keys(current)])];
+  const now = new Date().toISOString();
+  const writes = {};
+  const removals = [];
+  targets.forEach(key => {
+    if (!(key in item.data)) {
+      if (key in current) removals.push(key);
+      return;
+    }
+    const entry = normalizeEntry(item.data[key], key);
+    const live = new Map((key in current ? normalizeEntry(current[key], key).markers : []).map(m => [m.id, m]));
+    entry.markers = entry.markers.map(m => {
+      const liveMarker = live.get(m.id);
+      return liveMarker && stableStringify(liveMarker) !== stableStringify(m) ? { ...m, updatedAt: now } : m;
+    });
+    writes[key] = entry;
+  });
+  if (Object.keys(writes).length > 0) await chrome.storage.local.set(writes);
+  if (removals.length > 0) await chrome.storage.local.remove(removals);
+  return undoPoint;
+}
@@ -0,0 +1,1097 @@
+/**
+ * Chat Markers - common.js
+ * Storage schema helpers shared by the content script and the options page.
+ */
+'use strict';
+
+const SCHEMA_VERSION = 4;
+const MARKER_KEY_PREFIX = 'chat_markers::';
+const CONVERSATION_URL = 'https://chatgpt.com/c/';
+
+const COLORS = [
+  { value: 'yellow', label: '🟡 Yellow', hex: '#f5c518' },
+  { value: 'blue',   label: '🔵 Blue',   hex: '#3b82f6' },
+  { value: 'green',  label: '🟢 Green',  hex: '#22c55e' },
+  { value: 'red',    label: '🔴 Red',    hex: '#ef4444' },
+  { value: 'purple', label: '🟣 Purple', hex: '#a855f7' },
+];
+let markerColors = COLORS; // COLORS with the user's names and shades, see applyPalette()
+
+function hashString(str) {
+  let h = 5381;
+  for (let i = 0; i < str.length; i++) h = ((h << 5) + h) ^ str.charCodeAt(i);
+  return (h >>> 0).toString(36);
+}
+
+function genId() {
+  return 'cm-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+/** JSON with sorted keys, so equal markers compare equal regardless of field order */
+function stableStringify(value) {
+  if (Array.isArray(value)) return '[' + value.map(stableStringify).join(',') + ']';
+  if (value && typeof value === 'object') {
+    return '{' + Object.keys(value).sort()
+      .map(k => JSON.stringify(k) + ':' + stableStringify(value[k])).join(',') + '}';
+  }
+  return JSON.stringify(value);
+}
+
+function byteLength(str) {
+  return new TextEncoder().encode(str).length;
+}
+
+function esc(str) {
+  return String(str)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/** Conversation id part of a storage key (after any `<site>::` namespace) */
+function chatIdFromKey(key) {
+  const rest = key.startsWith(MARKER_KEY_PREFIX) ? key.slice(MARKER_KEY_PREFIX.length) : key;
+  const sep = rest.lastIndexOf('::');
+  return sep === -1 ? rest : rest.slice(sep + 2);
+}
+
+/** Empty per-chat metadata record */
+function emptyMeta() {
+  return { title: null, url: null, gptPath: null, firstSeen: null, lastVisited: null };
+}
+
+/**
+ * Upgrade a stored entry to the current schema.
+ * `key` lets v<3 entries get a best-effort conversation URL.
+ */
+function migrateSchema(data, key = '') {
+  let { schemaVersion = 1, markers: ms = [], meta } = data;
+  if (schemaVersion < 2) {
+    ms = ms.map(m => {
+      if (m?.msgRef && !m.msgRef.hash && m.msgRef.snippet) {
+        m.msgRef.hash = hashString((m.msgRef.role || '') + '||' + m.msgRef.snippet);
+      }
+      return m;
+    });
+    schemaVersion = 2;
+  }
+  if (schemaVersion < 3) {
+    // v3 adds a per-chat metadata record; seed timestamps from the markers themselves
+    const id = chatIdFromKey(key);
+    const created = ms.map(m => m?.createdAt).filter(Boolean).sort();
+    const updated = ms.map(m => m?.updatedAt || m?.createdAt).filter(Boolean).sort();
+    meta = {
+      ...emptyMeta(),
+      url: id && !id.startsWith('_') ? CONVERSATION_URL + id : null,
+      firstSeen: created[0] || null,
+      lastVisited: updated[updated.length - 1] || null
+    };
+    schemaVersion = 3;
+  }
+  if (schemaVersion < 4) {
+    // v4 replaces the free-text `tag` with a normalized `tags` list
+    ms = ms.map(m => {
+      if (!m || typeof m !== 'object') return m;
+      const { tag, ...rest } = m;
+      return { ...rest, tags: Array.isArray(m.tags) ? m.tags : parseTags(tag || '') };
+    });
+    schemaVersion = 4;
+  }
+  return { schemaVersion, meta: { ...emptyMeta(), ...meta }, markers: ms };
+}
+
+/** Normalize any stored value (v1 array or versioned object) to the current schema */
+function normalizeEntry(raw, key = '') {
+  if (!raw) return { schemaVersion: SCHEMA_VERSION, meta: emptyMeta(), markers: [] };
+  const data = Array.isArray(raw) ? { schemaVersion: 1, markers: raw } : raw;
+  return migrateSchema(data, key);
+}
+
+/**
+ * Upgrade the markers of a trash item (see Trash) the same way, so an old
+ * deletion restored into a current entry keeps e.g. its single `tag`.
+ */
+function migrateTrashItem(item) {
+  const schemaVersion = item.schemaVersion || 1;
+  if (schemaVersion >= SCHEMA_VERSION) return item;
+  const { markers } = migrateSchema({ schemaVersion, markers: item.markers || [] }, item.key);
+  return { ...item, schemaVersion: SCHEMA_VERSION, markers };
+}
+
+// ── Message matching ──
+// How markers find their message again after a reload, an edit or a regenerated
+// answer. Messages are `{ role, messageId, index, ...messageTextFields(role, text) }`.
+
+const FINGERPRINT_HEAD = 400;
+const FINGERPRINT_TAIL = 200;
+const MATCH_HIGH = 0.85;  // similarity needed to link a message confidently
+const MATCH_LOW = 0.5;    // below this a marker is reported missing
+const MATCH_MARGIN = 0.1; // required lead over the runner-up for a confident link
+
+function buildMsgHash(role, text) {
+  return hashString(role + '||' + text.trim().slice(0, 120));
+}
+
+/** Head + tail sample of a message, large enough to tell near-identical answers apart */
+function buildFingerprint(text) {
+  const t = text.toLowerCase();
+  if (t.length <= FINGERPRINT_HEAD + FINGERPRINT_TAIL) return t;
+  return t.slice(0, FINGERPRINT_HEAD) + ' … ' + t.slice(-FINGERPRINT_TAIL);
+}
+
+function trigrams(str) {
+  const grams = new Set();
+  const s = ` ${str} `;
+  for (let i = 0; i < s.length - 2; i++) grams.add(s.slice(i, i + 3));
+  return grams;
+}
+
+/** Sørensen–Dice coefficient over character trigrams (0…1) */
+function textSimilarity(aGrams, bGrams) {
+  if (aGrams.size === 0 && bGrams.size === 0) return 1;
+  let shared = 0;
+  const [small, large] = aGrams.size < bGrams.size ? [aGrams, bGrams] : [bGrams, aGrams];
+  small.forEach(g => { if (large.has(g)) shared++; });
+  return (2 * shared) / (aGrams.size + bGrams.size);
+}
+
+/** Text-derived fields of a message, from its visible text */
+function messageTextFields(role, text) {
+  const snippet = text.slice(0, 120);
+  return { hash: buildMsgHash(role, snippet), snippet, fingerprint: buildFingerprint(text), textLength: text.length };
+}
+
+/** The `msgRef` stored on a marker for a discovered message */
+function msgRefFrom(msg) {
+  const ref = { role: msg.role, hash: msg.hash, snippet: msg.snippet, indexHint: msg.index, fingerprint: msg.fingerprint };
+  if (msg.messageId) ref.messageId = msg.messageId;
+  return ref;
+}
+
+/**
+ * Find the message a stored reference points at.
+ * Returns `{ msg, confidence }` where confidence is 'exact' (message id),
+ * 'high' (clear fuzzy winner), 'low' (plausible but ambiguous) or null.
+ */
+function matchMessage(ref, currentMsgs) {
+  if (ref.messageId) {
+    const byId = currentMsgs.find(m => m.messageId === ref.messageId);
+    if (byId) return { msg: byId, confidence: 'exact' };
+  }
+
+  // Legacy refs only carry the 120-char snippet, so compare like with like
+  const useFingerprint = !!ref.fingerprint;
+  const refGrams = trigrams(useFingerprint ? ref.fingerprint : (ref.snippet || '').toLowerCase());
+  const scored = currentMsgs
+    .filter(m => !ref.role || ref.role === 'unknown' || m.role === ref.role)
+    .map(m => {
+      if (!m._grams) m._grams = { fp: trigrams(m.fingerprint), snippet: trigrams(m.snippet.toLowerCase()) };
+      let score = textSimilarity(refGrams, useFingerprint ? m._grams.fp : m._grams.snippet);
+      if (!useFingerprint && m.hash === ref.hash) score = 1;
+      return { msg: m, score };
+    })
+    .sort((a, b) => b.score - a.score || indexDistance(a.msg, ref) - indexDistance(b.msg, ref));
+
+  const [best, runnerUp] = scored;
+  if (!best || best.score < MATCH_LOW) return { msg: null, confidence: null };
+  const margin = runnerUp ? best.score - runnerUp.score : 1;
+  const confidence = best.score >= MATCH_HIGH && margin >= MATCH_MARGIN ? 'high' : 'low';
+  return { msg: best.msg, confidence };
+}
+
+function indexDistance(msg, ref) {
+  return ref.indexHint === undefined ? 0 : Math.abs(msg.index - ref.indexHint);
+}
+
+// ── Tags ──
+
+/** Canonical form of a tag, so "Important" and "important " are the same tag */
+function normalizeTag(tag) {
+  return String(tag).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/** Unique normalized tags from a list; each entry is one tag, commas and all */
+function normalizeTags(tags) {
+  return [...new Set(tags.map(normalizeTag).filter(Boolean))];
+}
+
+/** Split comma-separated input into unique normalized tags */
+function parseTags(input) {
+  return normalizeTags(String(input).split(','));
+}
+
+/** Inline style for a tag chip, if the tag has a color assigned in settings */
+function tagStyle(tag, tagColors) {
+  const color = tagColors && tagColors[tag];
+  return color ? `style="background:${colorInfo(color).hex}"` : '';
+}
+
+/** Tag → number of markers using it, across `[{ markers }]` */
+function countTags(entries) {
+  const counts = new Map();
+  entries.forEach(({ markers }) => markers.forEach(m =>
+    (m.tags || []).forEach(t => counts.set(t, (counts.get(t) || 0) + 1))));
+  return counts;
+}
+
+// ── Markdown ──
+// Notes are Markdown. The renderer escapes everything first and only emits its own
+// tags, so note text can never inject markup; links are limited to http(s)/mailto.
+
+const MD_FENCE_RE = /^\s*```/;
+const MD_LIST_RE = /^\s*([-*+]|\d+[.)])\s+/;
+const MD_TASK_RE = /^(\s*(?:[-*+]|\d+[.)])\s+)\[( |x|X)\]\s*/;
+
+function isSafeUrl(url) {
+  return /^(https?:|mailto:)/i.test(url);
+}
+
+/** Inline Markdown: code, links, bare URLs, bold, italic, strikethrough */
+function renderInlineMarkdown(text, opts) {
+  return String(text).split(/(`[^`]+`)/).map(part => {
+    if (/^`[^`]+`$/.test(part)) return `<code>${esc(part.slice(1, -1))}</code>`;
+    // Links become placeholders so emphasis rules never touch their URLs
+    const links = [];
+    const link = (label, url) => {
+      links.push(opts.links
+        ? `<a href="${url}" target="_blank" rel="noopener noreferrer">${label}</a>`
+        : `<span class="md-link">${label}</span>`);
+      return `\u0000${links.length - 1}\u0000`;
+    };
+    let html = esc(part)
+      .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (m, label, url) => (isSafeUrl(url) ? link(label, url) : m))
+      .replace(/(^|[\s(])(https?:\/\/[^\s<]*[^\s<.,;:!?)'])/g, (m, pre, url) => pre + link(url, url))
+      .replace(/\*\*(\S(?:.*?\S)?)\*\*/g, '<strong>$1</strong>')
+      .replace(/__(\S(?:.*?\S)?)__/g, '<strong>$1</strong>')
+      .replace(/(^|[^\w*])\*(\S(?:.*?\S)?)\*(?![\w*])/g, '$1<em>$2</em>')
+      .replace(/(^|[^\w])_(\S(?:.*?\S)?)_(?!\w)/g, '$1<em>$2</em>')
+      .replace(/~~(\S(?:.*?\S)?)~~/g, '<del>$1</del>');
+    return html.replace(/\u0000(\d+)\u0000/g, (m, i) => links[i]);
+  }).join('');
+}
+
+/**
+ * Render a note as sanitized HTML. Supports paragraphs, headings, lists, task
+ * items, block quotes, fenced code and inline formatting. Task checkboxes carry
+ * `data-task="<n>"` (their order in the note) and are disabled unless
+ * `opts.tasks` is set; `opts.links: false` renders links as plain text.
+ */
+function renderMarkdown(src, opts = {}) {
+  opts = { links: true, tasks: false, ...opts };
+  const lines = String(src || '').replace(/\r\n?/g, '\n').split('\n');
+  const out = [];
+  let para = [];
+  let task = 0;
+  const flush = () => {
+    if (para.length) out.push(`<p>${para.map(l => renderInlineMarkdown(l, opts)).join('<br>')}</p>`);
+    para = [];
+  };
+
+  for (let i = 0; i < lines.length;) {
+    const line = lines[i];
+    if (MD_FENCE_RE.test(line)) {
+      flush();
+      const code = [];
+      for (i++; i < lines.length && !MD_FENCE_RE.test(lines[i]); i++) code.push(lines[i]);
+      i++;
+      out.push(`<pre><code>${esc(code.join('\n'))}</code></pre>`);
+    } else if (/^#{1,6}\s+/.test(line)) {
+      flush();
+      out.push(`<p><strong>${renderInlineMarkdown(line.replace(/^#+\s+/, ''), opts)}</strong></p>`);
+      i++;
+    } else if (/^\s*>/.test(line)) {
+      flush();
+      const quote = [];
+      for (; i < lines.length && /^\s*>/.test(lines[i]); i++) quote.push(lines[i].replace(/^\s*>\s?/, ''));
+      out.push(`<blockquote>${quote.map(l => renderInlineMarkdown(l, opts)).join('<br>')}</blockquote>`);
+    } else if (MD_LIST_RE.test(line)) {
+      flush();
+      const ordered = /^\s*\d/.test(line);
+      const items = [];
+      for (; i < lines.length && MD_LIST_RE.test(lines[i]) && /^\s*\d/.test(lines[i]) === ordered; i++) {
+        const taskMatch = lines[i].match(MD_TASK_RE);
+        if (taskMatch) {
+          const checked = taskMatch[2] !== ' ';
+          items.push(`<li class="md-task"><input type="checkbox" data-task="${task++}"${checked ? ' checked' : ''}${opts.tasks ? '' : ' disabled'}> ${renderInlineMarkdown(lines[i].slice(taskMatch[0].length), opts)}</li>`);
+        } else {
+          items.push(`<li>${renderInlineMarkdown(lines[i].replace(MD_LIST_RE, ''), opts)}</li>`);
+        }
+      }
+      out.push(ordered ? `<ol>${items.join('')}</ol>` : `<ul>${items.join('')}</ul>`);
+    } else if (!line.trim()) {
+      flush();
+      i++;
+    } else {
+      para.push(line);
+      i++;
+    }
+  }
+  flush();
+  return out.join('');
+}
+
+/** Tick or untick the `index`-th task item (same numbering as renderMarkdown) */
+function toggleMarkdownTask(src, index) {
+  let n = 0;
+  let inFence = false;
+  return String(src).split('\n').map(line => {
+    if (MD_FENCE_RE.test(line)) { inFence = !inFence; return line; }
+    const match = !inFence && line.match(MD_TASK_RE);
+    if (!match || n++ !== index) return line;
+    return line.replace(/\[( |x|X)\]/, match[2] === ' ' ? '[x]' : '[ ]');
+  }).join('\n');
+}
+
+/** Human-readable name for a conversation, falling back to its id */
+function conversationLabel(meta, key) {
+  return (meta && meta.title) || chatIdFromKey(key);
+}
+
+/** Trigger a browser download of in-memory content */
+function downloadFile(content, filename, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/** Safe file-name fragment from a conversation label */
+function fileSlug(str) {
+  return String(str).replace(/[^a-z0-9]+/gi, '_').replace(/^_+|_+$/g, '').slice(0, 40) || 'chat';
+}
+
+// ── Readable exports ──
+
+function colorInfo(value) {
+  return markerColors.find(c => c.value === value) || markerColors[0];
+}
+
+/** Markers in the order their messages appear in the conversation */
+function sortByMessageOrder(markers) {
+  return [...markers].sort((a, b) =>
+    (a.msgRef?.indexHint ?? Infinity) - (b.msgRef?.indexHint ?? Infinity) ||
+    (a.range?.start ?? -1) - (b.range?.start ?? -1) ||
+    (a.createdAt || '').localeCompare(b.createdAt || '')
+  );
+}
+
+function formatDate(iso) {
+  return iso ? new Date(iso).toLocaleString() : '';
+}
+
+/** Render one or more conversations (`{ key, meta, markers }`) as a Markdown document */
+function renderMarkdownExport(conversations) {
+  const quoteBlock = text => text.split('\n').map(l => '> ' + l).join('\n');
+  const out = [];
+  if (conversations.length > 1) out.push('# Chat Markers', '', `Exported ${formatDate(new Date().toISOString())}`, '');
+  const heading = conversations.length > 1 ? '##' : '#';
+
+  conversations.forEach(({ key, meta, markers }) => {
+    out.push(`${heading} ${conversationLabel(meta, key)}`, '');
+    if (meta?.url) out.push(`<${meta.url}>`, '');
+    if (markers.length === 0) out.push('_No notes._', '');
+    const ids = new Set(markers.map(m => m.id));
+    let n = 0;
+    threadOrder(sortByMessageOrder(markers)).forEach(m => {
+      const reply = isReply(m, ids);
+      const details = [
+        colorInfo(m.color).label,
+        (m.tags || []).map(t => `\`${t}\``).join(' '),
+        m.msgRef?.role && !reply ? `on ${m.msgRef.role} message` : '',
+        markerStatus(m) !== 'open' ? MARKER_STATUSES[markerStatus(m)] : '',
+        m.dueAt && markerStatus(m) !== 'done' ? formatDue(m) : '',
+        formatDate(m.createdAt)
+      ].filter(Boolean).join(' · ');
+      out.push(`${heading}# ${reply ? '↳ Reply' : `${++n}.`} ${details}`, '');
+      const context = !reply && (m.range?.quote || m.msgRef?.snippet);
+      if (context) out.push(quoteBlock(context.trim()), '');
+      out.push(m.note || '', '');
+    });
+  });
+  return out.join('\n');
+}
+
+/** Render one or more conversations as a self-contained HTML page */
+function renderHtmlExport(conversations) {
+  const title = conversations.length === 1
+    ? conversationLabel(conversations[0].meta, conversations[0].key)
+    : 'Chat Markers';
+  const sections = conversations.map(({ key, meta, markers }) => {
+    const ids = new Set(markers.map(m => m.id));
+    const items = threadOrder(sortByMessageOrder(markers)).map(m => {
+      const color = colorInfo(m.color);
+      const reply = isReply(m, ids);
+      const context = !reply && (m.range?.quote || m.msgRef?.snippet);
+      return `
+      <article class="note${reply ? ' reply' : ''}" style="border-left-color:${color.hex}">
+        <div class="meta">
+          <span class="dot" style="background:${color.hex}"></span>
+          ${(m.tags || []).map(t => `<span class="tag">${esc(t)}</span>`).join('')}
+          ${reply ? '<span>↳ reply</span>' : m.msgRef?.role ? `<span>${esc(m.msgRef.role)}</span>` : ''}
+          <span class="date">${esc(formatDate(m.createdAt))}</span>
+        </div>
+        ${context ? `<blockquote>${esc(context.trim())}</blockquote>` : ''}
+        <div class="body">${renderMarkdown(m.note)}</div>
+      </article>`;
+    }).join('');
+    return `
+    <section>
+      <h2>${esc(conversationLabel(meta, key))}</h2>
+      ${meta?.url ? `<a class="url" href="${esc(meta.url)}">${esc(meta.url)}</a>` : ''}
+      ${items || '<p class="empty">No notes.</p>'}
+    </section>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${esc(title)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: 760px; margin: 32px auto; padding: 0 20px; color: #1a1a2e; background: #f5f5f7; }
+  h1 { font-size: 22px; } h2 { font-size: 17px; margin: 28px 0 4px; }
+  .url { font-size: 12px; color: #6c63ff; word-break: break-all; }
+  .note { background: #fff; border: 1px solid #e0e0e5; border-left: 4px solid; border-radius: 8px; padding: 10px 14px; margin: 12px 0; }
+  .note.reply { margin: -6px 0 12px 28px; }
+  .meta { display: flex; align-items: center; gap: 8px; font-size: 12px; color: #666680; text-transform: capitalize; }
+  .dot { width: 10px; height: 10px; border-radius: 50%; }
+  .tag { background: #6c63ff; color: #fff; border-radius: 20px; padding: 1px 7px; font-size: 11px; text-transform: none; }
+  .date { margin-left: auto; }
+  blockquote { margin: 8px 0; padding: 4px 10px; border-left: 3px solid #e0e0e5; color: #666680; font-style: italic; white-space: pre-wrap; }
+  p { line-height: 1.55; margin: 6px 0 0; }
+  .body ul, .body ol { margin: 6px 0 0; padding-left: 20px; line-height: 1.55; }
+  .body li.md-task { list-style: none; margin-left: -20px; }
+  .body code { font-family: ui-monospace, Menlo, monospace; font-size: 0.92em; background: #f5f5f7; border-radius: 3px; padding: 0 3px; }
+  .body pre { background: #f5f5f7; border-radius: 6px; padding: 8px 10px; overflow-x: auto; }
+  .body pre code { padding: 0; }
+  .body blockquote { font-style: normal; }
+  .empty { color: #666680; font-style: italic; }
+</style>
+</head>
+<body>
+<h1>📌 ${esc(title)}</h1>
+<p class="empty">Exported ${esc(formatDate(new Date().toISOString()))}</p>
+${sections}
+</body>
+</html>
+`;
+}
+
+/** Download conversations as a readable `markdown` or `html` document */
+function exportConversations(conversations, format, baseName) {
+  if (format === 'markdown') {
+    downloadFile(renderMarkdownExport(conversations), `${baseName}.md`, 'text/markdown');
+  } else if (format === 'html') {
+    downloadFile(renderHtmlExport(conversations), `${baseName}.html`, 'text/html');
+  }
+}
+
+// ── Import ──
+// parseImport → validateMarker → planImport (preview) → applyImport (strategy)
+
+const IMPORT_STRATEGIES = {
+  'keep-newer': 'Keep the newer version',
+  'keep-both':  'Keep both (import as a copy)',
+  'overwrite':  'Overwrite with the imported version'
+};
+
+const IMPORT_STATUS_LABELS = {
+  new: 'New', updated: 'Updated', conflict: 'Conflict', unchanged: 'Unchanged', invalid: 'Invalid'
+};
+
+/**
+ * Read any export format into `[{ key, meta, markers }]`, migrating each record
+ * to the current schema. Accepts all-chat exports, single-chat exports and bare
+ * v1 marker arrays (which have no key).
+ */
+function parseImport(data) {
+  const group = (key, meta, schemaVersion, ms) => {
+    if (!Array.isArray(ms)) throw new Error(`“${key || 'file'}” has no markers list`);
+    // Invalid records are kept so the preview can report them
+    const migrated = migrateSchema({ schemaVersion, markers: ms.map(m => (m && typeof m === 'object' ? { ...m } : m)) }, key || '');
+    return { key: key || null, meta: { ...emptyMeta(), ...(meta || {}) }, markers: migrated.markers };
+  };
+  if (Array.isArray(data)) return [group(null, null, 1, data)];
+  if (data && Array.isArray(data.conversations)) {
+    return data.conversations.map(c => group(c && c.key, c && c.meta, data.schemaVersion || 1, c && c.markers));
+  }
+  if (data && Array.isArray(data.markers)) return [group(data.chatKey, data.meta, data.schemaVersion || 1, data.markers)];
+  throw new Error('Unrecognized format');
+}
+
+function isIsoDate(v) {
+  return typeof v === 'string' && !Number.isNaN(Date.parse(v));
+}
+
+/** Problems with one imported marker; an empty list means it is usable */
+function validateMarker(m) {
+  if (!m || typeof m !== 'object' || Array.isArray(m)) return ['not an object'];
+  const errors = [];
+  if (typeof m.id !== 'string' || !m.id) errors.push('missing id');
+  if (typeof m.note !== 'string') errors.push('note must be text');
+  if (!m.msgRef || typeof m.msgRef !== 'object') errors.push('missing message reference');
+  else if (typeof m.msgRef.snippet !== 'string' && typeof m.msgRef.hash !== 'string') errors.push('message reference has no snippet or hash');
+  if (m.tags != null && (!Array.isArray(m.tags) || m.tags.some(t => typeof t !== 'string'))) errors.push('tags must be a list of text');
+  if (m.color != null && !COLORS.some(c => c.value === m.color)) errors.push(`unknown color “${m.color}”`);
+  if (m.createdAt != null && !isIsoDate(m.createdAt)) errors.push('invalid createdAt');
+  if (m.updatedAt != null && !isIsoDate(m.updatedAt)) errors.push('invalid updatedAt');
+  if (m.range != null && (typeof m.range !== 'object' || typeof m.range.quote !== 'string')) errors.push('invalid text range');
+  if (m.status != null && !MARKER_STATUSES[m.status]) errors.push(`unknown status “${m.status}”`);
+  if (m.dueAt != null && !isIsoDate(m.dueAt)) errors.push('invalid dueAt');
+  if (m.parentId != null && typeof m.parentId !== 'string') errors.push('invalid parentId');
+  if (m.snapshotId != null && typeof m.snapshotId !== 'string') errors.push('invalid snapshotId');
+  return errors;
+}
+
+/** A marker without its anchoring data, which pages refresh without editing the note */
+function markerContent(m) {
+  const { msgRef, snapshotId, ...content } = m;
+  return stableStringify(content);
+}
+
+/**
+ * Compare imported markers with what is stored. Each item gets a status:
+ * `new`, `unchanged`, `updated` (imported copy is newer), `conflict`
+ * (stored copy was edited later, or at the same time but differently) or
+ * `invalid`. A repeated id in the file is compared with its earlier copy.
+ */
+function planImport(incoming, existing) {
+  const byId = new Map(existing.map(m => [m.id, m]));
+  return incoming.map((raw, index) => {
+    const errors = validateMarker(raw);
+    if (errors.length > 0) return { status: 'invalid', index, marker: raw, errors };
+    const marker = Object.fromEntries(Object.entries(raw).filter(([k]) => !k.startsWith('_')));
+    marker.tags = normalizeTags(marker.tags || []);
+    const current = byId.get(marker.id);
+    byId.set(marker.id, marker);
+    if (!current) return { status: 'new', index, marker };
+    // Same edit time and content means the same version, even if anchoring data was refreshed since
+    const stamp = m => m.updatedAt || m.createdAt || '';
+    const sameVersion = stamp(marker) === stamp(current) && markerContent(marker) === markerContent(current);
+    if (sameVersion || stableStringify(current) === stableStringify(marker)) {
+      return { status: 'unchanged', index, marker, current };
+    }
+    return { status: stamp(marker) > stamp(current) ? 'updated' : 'conflict', index, marker, current };
+  });
+}
+
+/** Count plan items by status */
+function summarizeImport(plan) {
+  const counts = { new: 0, updated: 0, conflict: 0, unchanged: 0, invalid: 0 };
+  plan.forEach(item => { counts[item.status]++; });
+  return counts;
+}
+
+/**
+ * Merge a plan into `existing` using one of IMPORT_STRATEGIES. New markers are
+ * always added; the strategy decides what happens to `updated` and `conflict`
+ * items. Returns `{ markers, added, replaced }`.
+ */
+function applyImport(existing, plan, strategy) {
+  const markers = [...existing];
+  let added = 0, replaced = 0;
+  // Kept-both copies get new ids up front, so copied replies can point at their parent's copy
+  const copyIds = new Map();
+  if (strategy === 'keep-both') {
+    plan.forEach(({ status, marker }) => {
+      if (status === 'updated' || status === 'conflict') copyIds.set(marker.id, genId());
+    });
+  }
+  plan.forEach(({ status, marker }) => {
+    if (status === 'new') {
+      markers.push(marker); added++;
+    } else if (status === 'updated' || status === 'conflict') {
+      const replace = strategy === 'overwrite' || (strategy === 'keep-newer' && status === 'updated');
+      if (replace) {
+        markers[markers.findIndex(m => m.id === marker.id)] = marker; replaced++;
+      } else if (strategy === 'keep-both') {
+        const copy = { ...marker, id: copyIds.get(marker.id) };
+        if (copyIds.has(marker.parentId)) copy.parentId = copyIds.get(marker.parentId);
+        markers.push(copy); added++;
+      }
+    }
+  });
+  return { markers, added, replaced };
+}
+
+// ── Share bundles ──
+// One conversation's markers, deflated and base64url-encoded to fit in a link
+// fragment: `<conversation link>#cm-share=<bundle>`. Follow-up fields stay private.
+
+const SHARE_PARAM = 'cm-share';
+const SHARE_VERSION = 1;
+const SHARE_MAX_BYTES = 1024 * 1024; // decoded bundles above this are refused (a small link can inflate a lot)
+const SHARED_FIELDS = ['id', 'parentId', 'msgRef', 'range', 'note', 'tags', 'color', 'createdAt', 'updatedAt'];
+
+function toBase64Url(bytes) {
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(str) {
+  return Uint8Array.from(atob(str.replace(/-/g, '+').replace(/_/g, '/')), c => c.charCodeAt(0));
+}
+
+/** Run bytes through a stream transform; stops and throws a RangeError once the output passes `maxBytes` */
+async function pipeBytes(bytes, transform, maxBytes = Infinity) {
+  const reader = new Blob([bytes]).stream().pipeThrough(transform).getReader();
+  const chunks = [];
+  let total = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.length;
+    if (total > maxBytes) {
+      reader.cancel().catch(() => {});
+      throw new RangeError('Output too large');
+    }
+    chunks.push(value);
+  }
+  const out = new Uint8Array(total);
+  let pos = 0;
+  chunks.forEach(chunk => { out.set(chunk, pos); pos += chunk.length; });
+  return out;
+}
+
+function sharedMarker(m) {
+  return Object.fromEntries(SHARED_FIELDS.filter(f => m[f] !== undefined).map(f => [f, m[f]]));
+}
+
+/** Encode one conversation's markers as a URL-safe share bundle */
+async function encodeShareBundle(meta, markers) {
+  const payload = { v: SHARE_VERSION, title: meta.title || null, sharedAt: new Date().toISOString(), markers: markers.map(sharedMarker) };
+  const bytes = new TextEncoder().encode(JSON.stringify(payload));
+  return toBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')));
+}
+
+/**
+ * Decode a share bundle, or a link carrying one, into `{ title, sharedAt, markers }`.
+ * Invalid markers are dropped; throws when the input is not a bundle at all.
+ */
+async function decodeShareBundle(input) {
+  const text = String(input).trim();
+  const fromLink = text.match(new RegExp(`${SHARE_PARAM}=([A-Za-z0-9_-]+)`));
+  const code = fromLink ? fromLink[1] : text;
+  let payload;
+  try {
+    if (!/^[A-Za-z0-9_-]+$/.test(code)) throw new Error('bad characters');
+    const bytes = await pipeBytes(fromBase64Url(code), new DecompressionStream('deflate-raw'), SHARE_MAX_BYTES);
+    payload = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (e) {
+    if (e instanceof RangeError) throw new Error('This share link holds too much data to open.');
+    throw new Error('This is not a Chat Markers share link.');
+  }
+  if (!payload || payload.v !== SHARE_VERSION || !Array.isArray(payload.markers)) {
+    throw new Error('This share link was made by an unsupported version of Chat Markers.');
+  }
+  return {
+    title: typeof payload.title === 'string' ? payload.title : null,
+    sharedAt: isIsoDate(payload.sharedAt) ? payload.sharedAt : null,
+    markers: payload.markers
+      .filter(m => validateMarker(m).length === 0)
+      .map(m => ({ ...sharedMarker(m), tags: (m.tags || []).map(normalizeTag).filter(Boolean) }))
+  };
+}
+
+// ── Follow-ups ──
+// Markers may carry `status` ('open' when absent), an optional `dueAt` and
+// `remindedAt` (set once a reminder for the current `dueAt` has been shown).
+
+const MARKER_STATUSES = { open: 'Open', done: 'Done', snoozed: 'Snoozed' };
+const SNOOZE_DAYS = 1;
+
+function markerStatus(m) {
+  return m.status || 'open';
+}
+
+function isFollowUpDue(m, now = Date.now()) {
+  return markerStatus(m) !== 'done' && !!m.dueAt && new Date(m.dueAt).getTime() <= now;
+}
+
+/** Due and not yet reminded about for this due date */
+function needsReminder(m, now = Date.now()) {
+  return isFollowUpDue(m, now) && !(m.remindedAt && m.remindedAt >= m.dueAt);
+}
+
+/** Copy of `m` with a new status; snoozing pushes the due date SNOOZE_DAYS ahead */
+function withStatus(m, status, now = Date.now()) {
+  const next = { ...m, status, updatedAt: new Date(now).toISOString() };
+  if (status === 'snoozed') {
+    next.dueAt = new Date(now + SNOOZE_DAYS * DAY_MS).toISOString();
+    delete next.remindedAt;
+  }
+  return next;
+}
+
+/** Short due-date label, e.g. "overdue since 3/1" or "due 3/4, 9:00 AM" */
+function formatDue(m, now = Date.now()) {
+  if (!m.dueAt) return '';
+  const due = new Date(m.dueAt);
+  const when = due.toLocaleString([], { month: 'numeric', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+  return due.getTime() <= now ? `overdue since ${when}` : `due ${when}`;
+}
+
+/** Read-modify-write one stored marker; `update` returns the new marker. Returns it, or null if gone. */
+async function updateStoredMarker(key, id, update) {
+  const { [key]: raw } = await chrome.storage.local.get(key);
+  const entry = normalizeEntry(raw, key);
+  const idx = entry.markers.findIndex(m => m.id === id);
+  if (idx === -1) return null;
+  entry.markers[idx] = update(entry.markers[idx]);
+  await chrome.storage.local.set({ [key]: entry });
+  return entry.markers[idx];
+}
+
+/**
+ * Add markers to a stored conversation, creating its entry (seeded with `meta`) if
+ * needed. Markers whose id is taken there, or all with `freshIds`, get a new id;
+ * replies follow their parent, or become top-level notes if it did not come along.
+ * Returns the markers as added.
+ */
+async function addStoredMarkers(key, incoming, { meta = {}, freshIds = false } = {}) {
+  const { [key]: raw } = await chrome.storage.local.get(key);
+  const entry = normalizeEntry(raw, key);
+  if (!raw) entry.meta = { ...entry.meta, ...meta, firstSeen: new Date().toISOString() };
+  const taken = new Set(entry.markers.map(m => m.id));
+  const ids = new Map(incoming.map(m => [m.id, freshIds || taken.has(m.id) ? genId() : m.id]));
+  const added = incoming.map(m => {
+    const next = { ...m, id: ids.get(m.id) };
+    if (ids.has(m.parentId)) next.parentId = ids.get(m.parentId); else delete next.parentId;
+    return next;
+  });
+  entry.markers.push(...added);
+  await chrome.storage.local.set({ [key]: entry });
+  return added;
+}
+
+async function removeStoredMarkers(key, ids) {
+  const { [key]: raw } = await chrome.storage.local.get(key);
+  if (!raw) return;
+  const entry = normalizeEntry(raw, key);
+  entry.markers = entry.markers.filter(m => !ids.includes(m.id));
+  await chrome.storage.local.set({ [key]: entry });
+}
+
+// ── Threads ──
+// A reply carries `parentId` (the top-level note it answers) and a copy of that
+// note's `msgRef`. Threads are one level deep: replying to a reply answers its root.
+
+/** A reply whose parent is still among the markers (`ids`); orphans count as top-level notes */
+function isReply(m, ids) {
+  return !!m.parentId && m.parentId !== m.id && ids.has(m.parentId);
+}
+
+/** Id of the top-level note a marker's thread hangs off (its own id for top-level notes) */
+function threadRootId(m, byId) {
+  const seen = new Set();
+  let cur = m;
+  while (cur.parentId && byId.has(cur.parentId) && !seen.has(cur.id)) {
+    seen.add(cur.id);
+    cur = byId.get(cur.parentId);
+  }
+  return cur.id;
+}
+
+/** Markers in thread order: each top-level note in the given order, followed by its replies, oldest first */
+function threadOrder(markers) {
+  const byId = new Map(markers.map(m => [m.id, m]));
+  const replies = new Map();
+  const roots = [];
+  markers.forEach(m => {
+    const rootId = threadRootId(m, byId);
+    if (rootId === m.id) { roots.push(m); return; }
+    if (!replies.has(rootId)) replies.set(rootId, []);
+    replies.get(rootId).push(m);
+  });
+  return roots.flatMap(root => [root, ...(replies.get(root.id) || [])
+    .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''))]);
+}
+
+// ── Snapshots ──
+// Optional copies of marked messages, so a note keeps its context after the
+// message is deleted or regenerated. Markers point at them with `snapshotId`;
+// identical content is stored once, outside the conversation entries:
+//   cm_snapshots → { items: { <id>: { id, role, text, html, capturedAt, bytes, truncated } } }
+
+const SNAPSHOTS_KEY = 'cm_snapshots';
+const BACKUPS_KEY = 'cm_backups'; // restore points (backup.js); their markers keep snapshots in use
+const SNAPSHOT_MODES = { off: 'Off', text: 'Text and code', html: 'Text, code and formatting' };
+const SNAPSHOT_MAX_CHARS = 20000;               // longer messages are cut
+const SNAPSHOT_MAX_HTML = 60000;                // formatting is dropped above this
+const SNAPSHOT_TOTAL_BYTES = 2 * 1024 * 1024;   // oldest snapshots go first above this
+const SNAPSHOT_WRITE_ATTEMPTS = 3;             // tries to get a write past other tabs' writes
+const SNAPSHOT_TAGS = new Set(['P', 'BR', 'HR', 'UL', 'OL', 'LI', 'PRE', 'CODE', 'BLOCKQUOTE', 'H1', 'H2', 'H3',
+  'H4', 'H5', 'H6', 'STRONG', 'B', 'EM', 'I', 'DEL', 'S', 'SUP', 'SUB', 'A', 'TABLE', 'THEAD', 'TBODY', 'TR', 'TH', 'TD']);
+const SNAPSHOT_BLOCK_RE = /^(DIV|SECTION|ARTICLE|HEADER|FOOTER|MAIN|ASIDE|FIGURE|DETAILS|SUMMARY)$/;
+
+/**
+ * Keep only SNAPSHOT_TAGS (other elements are unwrapped, scripts and media dropped)
+ * and no attributes except safe link targets.
+ */
+function sanitizeSnapshotHtml(html) {
+  const tpl = document.createElement('template');
+  tpl.innerHTML = html;
+  // Code blocks keep just their code, not the site's language label and copy button
+  tpl.content.querySelectorAll('pre').forEach(pre => {
+    const code = pre.querySelector('code');
+    if (code) pre.replaceChildren(code);
+  });
+  const clean = node => {
+    [...node.children].forEach(el => {
+      clean(el);
+      if (/^(SCRIPT|STYLE|TEMPLATE|IFRAME|OBJECT|EMBED|SVG|CANVAS|VIDEO|AUDIO|IMG|BUTTON|INPUT|TEXTAREA|SELECT|FORM)$/i.test(el.tagName)) {
+        el.remove();
+      } else if (!SNAPSHOT_TAGS.has(el.tagName)) {
+        // Block wrappers holding only inline content become paragraphs so lines stay apart
+        if (SNAPSHOT_BLOCK_RE.test(el.tagName) && !el.querySelector('p, ul, ol, pre, table, blockquote, h1, h2, h3, h4, h5, h6, hr')) {
+          const para = document.createElement('p');
+          para.append(...el.childNodes);
+          el.replaceWith(para);
+        } else {
+          el.replaceWith(...el.childNodes);
+        }
+      } else {
+        const href = el.getAttribute('href');
+        [...el.attributes].forEach(a => el.removeAttribute(a.name));
+        if (el.tagName === 'A' && href && isSafeUrl(href)) {
+          el.setAttribute('href', href);
+          el.setAttribute('target', '_blank');
+          el.setAttribute('rel', 'noopener noreferrer');
+        }
+      }
+    });
+  };
+  clean(tpl.content);
+  return tpl.innerHTML.replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/** A snapshot record; its id is derived from the content so equal copies are shared */
+function makeSnapshot(role, text, html = '') {
+  const truncated = text.length > SNAPSHOT_MAX_CHARS;
+  const body = truncated ? text.slice(0, SNAPSHOT_MAX_CHARS) : text;
+  const keepHtml = html && html.length <= SNAPSHOT_MAX_HTML ? html : '';
+  const snapshot = { id: 'snap-' + hashString(role + '\n' + body + '\n' + keepHtml), role, text: body, html: keepHtml, capturedAt: new Date().toISOString(), truncated };
+  snapshot.bytes = byteLength(JSON.stringify(snapshot));
+  return snapshot;
+}
+
+async function loadSnapshots() {
+  const { [SNAPSHOTS_KEY]: stored } = await chrome.storage.local.get(SNAPSHOTS_KEY);
+  return (stored && stored.items) || {};
+}
+
+/** Snapshot ids still used by a stored or trashed marker, or by one in a restore point */
+function referencedSnapshotIds(all) {
+  const ids = new Set();
+  const add = markers => (markers || []).forEach(m => { if (m && m.snapshotId) ids.add(m.snapshotId); });
+  const addEntries = data => Object.entries(data).forEach(([key, raw]) => {
+    if (key.startsWith(MARKER_KEY_PREFIX)) add(normalizeEntry(raw, key).markers);
+  });
+  addEntries(all);
+  ((all[TRASH_KEY] && all[TRASH_KEY].items) || []).forEach(item => add(item.markers));
+  ((all[BACKUPS_KEY] && all[BACKUPS_KEY].items) || []).forEach(item => addEntries(item.data || {}));
+  return ids;
+}
+
+/**
+ * Drop snapshots other than `keep` until `items` fits SNAPSHOT_TOTAL_BYTES:
+ * unused ones go first, then the oldest.
+ */
+async function fitSnapshots(items, keep) {
+  let total = Object.values(items).reduce((sum, item) => sum + (item.bytes || 0), 0);
+  if (total <= SNAPSHOT_TOTAL_BYTES) return items;
+  // Only now is it worth reading every conversation to see which copies are in use
+  const used = referencedSnapshotIds(await chrome.storage.local.get(null));
+  const keepIds = new Set(keep.map(s => s.id));
+  const evictable = Object.values(items)
+    .filter(item => !keepIds.has(item.id))
+    .sort((a, b) => Number(used.has(a.id)) - Number(used.has(b.id)) || a.capturedAt.localeCompare(b.capturedAt));
+  const kept = { ...items };
+  while (total > SNAPSHOT_TOTAL_BYTES && evictable.length) {
+    const dropped = evictable.shift();
+    total -= dropped.bytes || 0;
+    delete kept[dropped.id];
+  }
+  return kept;
+}
+
+let snapshotWrites = Promise.resolve(); // saves from this page, one at a time
+
+/**
+ * Store the snapshots that are not stored yet, in one write. Pages in other tabs
+ * write the same key, so the write is read back and redone if one of them
+ * replaced it meanwhile. Resolves to their ids, null for any that could not be kept.
+ */
+function saveSnapshots(snapshots) {
+  const run = snapshotWrites.then(() => writeSnapshots(snapshots));
+  snapshotWrites = run.catch(() => {});
+  return run;
+}
+
+async function writeSnapshots(snapshots) {
+  for (let attempt = 0; ; attempt++) {
+    const items = await loadSnapshots();
+    const missing = snapshots.filter(s => !items[s.id]);
+    if (missing.length === 0 || attempt === SNAPSHOT_WRITE_ATTEMPTS) return snapshots.map(s => (items[s.id] ? s.id : null));
+    missing.forEach(s => { items[s.id] = s; });
+    await chrome.storage.local.set({ [SNAPSHOTS_KEY]: { items: await fitSnapshots(items, missing) } });
+  }
+}
+
+/** Store one snapshot; resolves to its id, or null */
+async function saveSnapshot(snapshot) {
+  return (await saveSnapshots([snapshot]))[0];
+}
+
+/** Delete snapshots no stored, trashed or backed-up marker uses; returns how many went */
+async function pruneSnapshots() {
+  const all = await chrome.storage.local.get(null);
+  const items = (all[SNAPSHOTS_KEY] && all[SNAPSHOTS_KEY].items) || {};
+  const used = referencedSnapshotIds(all);
+  const kept = Object.fromEntries(Object.entries(items).filter(([id]) => used.has(id)));
+  await chrome.storage.local.set({ [SNAPSHOTS_KEY]: { items: kept } });
+  return Object.keys(items).length - Object.keys(kept).length;
+}
+
+/** Snapshot body as HTML: the sanitized formatting if kept, else the text (code fenced) */
+function snapshotBodyHtml(snapshot) {
+  return snapshot.html ? sanitizeSnapshotHtml(snapshot.html) : renderMarkdown(snapshot.text);
+}
+
+// ── Link health ──
+// Which top-level notes a conversation's page last could not match to a message,
+// recorded by content.js for the insights on the options page. It depends on what
+// the page had loaded, so it stays on the device and is not synced or exported:
+//   cm_link_health → { items: { <chat key>: { missing: [markerId], updatedAt } } }
+
+const LINK_HEALTH_KEY = 'cm_link_health';
+
+async function loadLinkHealth() {
+  const { [LINK_HEALTH_KEY]: stored } = await chrome.storage.local.get(LINK_HEALTH_KEY);
+  return (stored && stored.items) || {};
+}
+
+/** Record the notes missing on `key`'s page; no write when that has not changed */
+async function recordLinkHealth(key, missingIds) {
+  const items = await loadLinkHealth();
+  const missing = [...missingIds].sort();
+  if (items[key] && items[key].missing.join('\n') === missing.join('\n')) return;
+  items[key] = { missing, updatedAt: new Date().toISOString() };
+  await chrome.storage.local.set({ [LINK_HEALTH_KEY]: { items } });
+}
+
+// ── Settings ──
+
+const SETTINGS_KEY = 'cm_settings';
+const DEFAULT_SETTINGS = {
+  trashRetentionDays: 30,
+  syncEnabled: false,
+  tagColors: {},
+  backupIntervalHours: 24, // 0 turns automatic restore points off
+  backupKeep: 10,
+  backupDownload: false,
+  sidebarSide: 'right',
+  sidebarWidth: 220,
+  autoCollapse: false,
+  palette: {},             // color value → { name, hex } replacing its label and shade
+  defaultColor: 'yellow',
+  highlightDuration: 2000, // ms a message stays highlighted after jumping to it
+  showAddButton: true,     // the ＋ shown when hovering a message
+  theme: 'auto',           // 'auto' follows the OS, or 'light' / 'dark'
+  snapshotMode: 'off',     // see SNAPSHOT_MODES
+  listSort: 'message',     // the in-page note list's view: sort order,
+  listGroup: 'none',       // grouping ('color', 'tag', 'role')
+  listFilter: 'all'        // and quick filter ('missing', 'user', 'assistant')
+};
+
+const SIDEBAR_WIDTH_MIN = 180;
+const SIDEBAR_WIDTH_MAX = 420;
+
+async function loadSettings() {
+  const result = await chrome.storage.local.get(SETTINGS_KEY);
+  return { ...DEFAULT_SETTINGS, ...(result[SETTINGS_KEY] || {}) };
+}
+
+async function saveSettings(patch) {
+  const settings = { ...(await loadSettings()), ...patch };
+  await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
+  return settings;
+}
+
+/** Use the names and shades from `settings.palette` wherever COLORS are shown; returns them */
+function applyPalette(palette = {}) {
+  markerColors = COLORS.map(c => {
+    const custom = palette[c.value] || {};
+    const name = (custom.name || '').trim();
+    return { ...c, name, label: name ? `${c.label.split(' ')[0]} ${name}` : c.label, hex: custom.hex || c.hex };
+  });
+  return markerColors;
+}
+
+/** `rgba()` for a `#rrggbb` color */
+function hexToRgba(hex, alpha) {
+  const n = parseInt(hex.slice(1), 16);
+  return `rgba(${n >> 16}, ${(n >> 8) & 255}, ${n & 255}, ${alpha})`;
+}
+
+/** Bytes used and available in the local and sync storage areas */
+async function storageUsage() {
+  const [local, sync] = await Promise.all([
+    chrome.storage.local.getBytesInUse(null), chrome.storage.sync.getBytesInUse(null)
+  ]);
+  return {
+    local: { used: local, quota: chrome.storage.local.QUOTA_BYTES },
+    sync: { used: sync, quota: chrome.storage.sync.QUOTA_BYTES }
+  };
+}
+
+// ── Trash ──
+// Deleted markers and conversations are kept under one key until they expire.
+// Items: { id, type: 'marker' | 'conversation', key, meta, markers, deletedAt, schemaVersion }
+
+const TRASH_KEY = 'cm_trash';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isTrashExpired(item, retentionDays, now = Date.now()) {
+  return retentionDays > 0 && now - new Date(item.deletedAt).getTime() > retentionDays * DAY_MS;
+}
+
+/** Load trash items, dropping any past the retention period */
+async function loadTrash() {
+  const [{ [TRASH_KEY]: trash }, settings] = await Promise.all([
+    chrome.storage.local.get(TRASH_KEY), loadSettings()
+  ]);
+  const items = ((trash && trash.items) || []).map(migrateTrashItem);
+  const kept = items.filter(item => !isTrashExpired(item, settings.trashRetentionDays));
+  if (kept.length !== items.length) await chrome.storage.local.set({ [TRASH_KEY]: { items: kept } });
+  return kept;
+}
+
+async function saveTrash(items) {
+  await chrome.storage.local.set({ [TRASH_KEY]: { items } });
+}
+
+/** Move deleted data to the trash; `entries` are `{ type, key, meta, markers }`. Returns the new items. */
+async function addToTrash(entries) {
+  if (entries.length === 0) return [];
+  const deletedAt = new Date().toISOString();
+  const added = entries.map(e => ({
+    id: 'trash-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    deletedAt, schemaVersion: SCHEMA_VERSION, ...e
+  }));
+  await saveTrash([...(await loadTrash()), ...added]);
+  return added;
+}
+
+/** Drop trashed copies of markers that are live again (e.g. after an undo) */
+async function removeMarkersFromTrash(key, markerIds) {
+  if (markerIds.length === 0) return;
+  const ids = new Set(markerIds);
+  const items = (await loadTrash())
+    .map(item => item.key !== key ? item : { ...item, markers: item.markers.filter(m => !ids.has(m.id)) })
+    .filter(item => item.key !== key || item.markers.length > 0);
+  await saveTrash(items);
+}
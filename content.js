@@ -1,23 +1,56 @@
 /**
  * Chat Markers - content.js
- * Injects a sidebar with bookmark/note markers into ChatGPT conversations.
+ * Injects a sidebar with bookmark/note markers into chat conversations.
+ * Site-specific DOM and URL knowledge lives in adapters.js.
  */
 'use strict';
 
-const SCHEMA_VERSION = 2;
-const EXTENSION_PREFIX = 'cm-';
-const HIGHLIGHT_DURATION = 2000;
 const DEBOUNCE_DELAY = 300;
-const STORAGE_QUOTA_BYTES = 5 * 1024 * 1024;
+const STORAGE_WARN_RATIO = 0.9;
+const RANGE_CONTEXT_CHARS = 32;
+const HISTORY_LIMIT = 50;
+const PIP_CLUSTER_PX = 12; // pips closer than this on the track merge into a count badge
+const TRACK_POP_HIDE_DELAY = 200;
+const FIND_STEP_DELAY = 400; // wait for lazily rendered messages after each scroll step
+const FIND_MAX_STEPS = 80;
+const EXTENSION_UI_SELECTOR = '.cm-add-note-btn';
+// Everything the extension adds to the page; mutations inside these are not the site's
+const EXTENSION_ROOT_SELECTOR = '#cm-sidebar, #cm-toast, #cm-selection-btn, .cm-modal-overlay, .cm-add-note-btn';
+const STREAM_POLL_MS = 1000; // how often to check whether a streaming answer has finished
 
 // ─── State ────────────────────────────────────────────────────────────────────
+const siteAdapter = adapterForHost(location.hostname);
 let chatKey = '';
+let chatMeta = emptyMeta();
 let markers = [];
 let sidebarEl = null;
 let modalEl = null;
 let panelOpen = false;
 let rafScheduled = false;
+let thumbScheduled = false;
 let resizeObserver = null;
+let scrollerEl = null;    // element that scrolls the conversation
+let scrollTarget = null;  // where its scroll events fire: the element, or window for page scrolling
+let findRun = null;
+let selectionBtnEl = null;
+let paletteEl = null;
+let pendingFocusId = null;
+let lastSavedJson = '';
+let undoStack = [];
+let redoStack = [];
+let settings = { ...DEFAULT_SETTINGS };
+let activeTags = new Set();
+let trackMessages = []; // messages found by the last rebuild, drawn as role bands on the track
+let trackPopEl = null;
+let guestLayer = null;          // { title, sharedAt, markers }: someone else's notes, shown read-only
+let guestSelected = new Set();  // guest marker ids ticked for copying
+let selectMode = false;         // the note list shows checkboxes for bulk actions
+let selectedIds = new Set();    // own marker ids ticked in select mode
+let selectAnchorId = null;      // the last one ticked, where a Shift-click range starts
+let listedIds = [];             // own marker ids in the note list, in display order
+let trackPopTimeout = null;
+let contextMenuTarget = null;   // what the page's context menu was last opened on
+let linkHealthSent = '';        // chat key and missing ids last passed to recordLinkHealth()
 
 // ─── Utilities ────────────────────────────────────────────────────────────────
 function debounce(fn, delay) {
@@ -25,36 +58,43 @@ function debounce(fn, delay) {
   return (...args) => { clearTimeout(t); t = setTimeout(() => fn(...args), delay); };
 }
 
-function hashString(str) {
-  let h = 5381;
-  for (let i = 0; i < str.length; i++) h = ((h << 5) + h) ^ str.charCodeAt(i);
-  return (h >>> 0).toString(36);
+/** Visible message text, excluding the extension's own injected UI */
+function getMessageText(el) {
+  return collectTextNodes(el).map(n => n.data).join('').trim().replace(/\s+/g, ' ');
 }
 
-function buildMsgHash(role, text) {
-  return hashString(role + '||' + text.trim().slice(0, 120));
+/** Drop runtime-only fields (`_domEl`, `_range`, …) before persisting or exporting */
+function cleanMarker(marker) {
+  const clean = {};
+  for (const [k, v] of Object.entries(marker)) if (!k.startsWith('_')) clean[k] = v;
+  return clean;
 }
 
-function getTextSnippet(el, len = 120) {
-  return (el.textContent || '').trim().replace(/\s+/g, ' ').slice(0, len);
+// ─── Chat Key ─────────────────────────────────────────────────────────────────
+/** Conversation id for the current URL; pages without one fall back to their path */
+function deriveChatId() {
+  return siteAdapter.getChatId(location) || location.pathname.replace(/\//g, '_');
 }
 
-function genId() {
-  return EXTENSION_PREFIX + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+function deriveChatKey() {
+  return buildChatKey(siteAdapter, deriveChatId());
 }
 
-function esc(str) {
-  return String(str)
-    .replace(/&/g, '&amp;').replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+/** Links from the options dashboard carry `#cm-marker=<id>` to focus a marker on load */
+function readFocusHash() {
+  const match = location.hash.match(/(?:^#|&)cm-marker=([^&]+)/);
+  if (!match) return;
+  pendingFocusId = decodeURIComponent(match[1]);
+  history.replaceState(history.state, '', location.pathname + location.search);
 }
 
-// ─── Chat Key ─────────────────────────────────────────────────────────────────
-function deriveChatKey() {
-  const pathname = location.pathname;
-  const match = pathname.match(/\/(?:c|chat|g\/[^/]+\/c)\/([a-zA-Z0-9_-]{8,})/);
-  const id = match ? match[1] : pathname.replace(/\//g, '_');
-  return 'chat_markers::' + id;
+/** Keep a `#cm-share=` bundle for this tab (so a reload still shows it) and tidy the URL */
+function readShareHash() {
+  const match = location.hash.match(new RegExp(`(^#|&)${SHARE_PARAM}=([^&]+)`));
+  if (!match) return;
+  sessionStorage.setItem(`${SHARE_PARAM}::${deriveChatKey()}`, match[2]);
+  const rest = location.hash.replace(match[0], match[1]).replace(/^#&/, '#');
+  history.replaceState(history.state, '', location.pathname + location.search + (rest.length > 1 ? rest : ''));
 }
 
 let lastPathname = location.pathname;
@@ -70,28 +110,61 @@ function watchUrlChange() {
 }
 
 // ─── Storage ──────────────────────────────────────────────────────────────────
-async function loadMarkers() {
+/** Load the current chat's entry; returns `{ meta, markers, stored }` */
+async function loadChat() {
   try {
     const result = await chrome.storage.local.get(chatKey);
     const raw = result[chatKey];
-    if (!raw) return [];
-    const data = Array.isArray(raw) ? { schemaVersion: 1, markers: raw } : raw;
-    return migrateSchema(data).markers || [];
+    const { meta, markers: ms } = normalizeEntry(raw, chatKey);
+    return { meta, markers: ms || [], stored: !!raw };
   } catch (e) {
     console.error('[ChatMarkers] Load error:', e);
-    return [];
+    return { meta: emptyMeta(), markers: [], stored: false };
   }
 }
 
+/** Refresh title/URL/visit time in `chatMeta`; returns true if anything changed */
+function updateChatMeta(visited) {
+  const before = JSON.stringify(chatMeta);
+  const now = new Date().toISOString();
+  chatMeta = {
+    ...chatMeta,
+    title: siteAdapter.getTitle(deriveChatId()) || chatMeta.title,
+    url: siteAdapter.getChatId(location) ? location.origin + location.pathname : chatMeta.url,
+    gptPath: siteAdapter.getProjectPath(location) || chatMeta.gptPath,
+    firstSeen: chatMeta.firstSeen || now
+  };
+  if (visited) chatMeta.lastVisited = now;
+  return JSON.stringify(chatMeta) !== before;
+}
+
+/** Persist metadata changes (e.g. a late-arriving title) for chats that already have an entry */
+function refreshChatMeta() {
+  if (updateChatMeta(false) && markers.length > 0) saveMarkers(markers);
+}
+
+/** Note which notes this page could not find, for the insights on the options page; waits for messages to settle */
+const recordLinkHealthSoon = debounce(() => {
+  if (!chatKey || markers.length === 0 || trackMessages.length === 0) return;
+  const missing = markers.filter(m => m._missing && !m._rootId).map(m => m.id);
+  const sent = `${chatKey}|${missing.join(',')}`;
+  if (sent === linkHealthSent) return;
+  linkHealthSent = sent;
+  recordLinkHealth(chatKey, missing).catch(e => console.warn('[ChatMarkers] Could not record missing notes', e));
+}, 3000);
+
 async function saveMarkers(markersArr) {
   if (!Array.isArray(markersArr)) return;
-  const payload = { schemaVersion: SCHEMA_VERSION, markers: markersArr };
+  updateChatMeta(false);
+  const payload = { schemaVersion: SCHEMA_VERSION, meta: chatMeta, markers: markersArr.map(cleanMarker) };
   const json = JSON.stringify(payload);
-  if (json.length > STORAGE_QUOTA_BYTES) {
-    showToast('⚠️ Storage limit approaching. Export and clear old notes.', 'warn');
-  }
+  lastSavedJson = json;
   try {
     await chrome.storage.local.set({ [chatKey]: payload });
+    const { local } = await storageUsage();
+    if (local.used > local.quota * STORAGE_WARN_RATIO) {
+      showToast('⚠️ Storage limit approaching. Export and clear old notes.', 'warn');
+    }
   } catch (e) {
     if (e.message && e.message.includes('QUOTA_BYTES')) {
       showToast('❌ Storage quota exceeded! Export your notes and delete some.', 'error');
@@ -101,113 +174,351 @@ async function saveMarkers(markersArr) {
   }
 }
 
-function migrateSchema(data) {
-  let { schemaVersion = 1, markers: ms = [] } = data;
-  if (schemaVersion < 2) {
-    ms = ms.map(m => {
-      if (m.msgRef && !m.msgRef.hash && m.msgRef.snippet) {
-        m.msgRef.hash = hashString((m.msgRef.role || '') + '||' + m.msgRef.snippet);
-      }
-      return m;
-    });
-    schemaVersion = 2;
+// ─── Message Discovery ────────────────────────────────────────────────────────
+// Text-derived fields are computed once per message element and cached; the
+// observer marks elements whose content changed so only those are read again.
+const messageCache = new WeakMap();
+const dirtyMessages = new Set();
+
+/** Fields for one message; text-derived ones stay empty while an answer is still streaming */
+function describeMessage(el) {
+  const role = siteAdapter.getRole(el);
+  const messageId = siteAdapter.getMessageId(el);
+  if (siteAdapter.isStreaming(el)) {
+    return { el, role, messageId, streaming: true, hash: '', snippet: '', fingerprint: '', textLength: 0 };
   }
-  return { schemaVersion, markers: ms };
+  return { el, role, messageId, streaming: false, ...messageTextFields(role, getMessageText(el)) };
 }
 
-// ─── Message Discovery ────────────────────────────────────────────────────────
 function discoverMessages() {
-  let nodes = Array.from(document.querySelectorAll('[data-message-author-role]'));
-  if (nodes.length === 0) {
-    nodes = Array.from(document.querySelectorAll(
-      '[class*="ConversationTurn"], [class*="conversation-turn"], article'
-    ));
-  }
-  return nodes.map((el, index) => {
-    const role = el.getAttribute('data-message-author-role') || 'unknown';
-    const snippet = getTextSnippet(el);
-    const hash = buildMsgHash(role, snippet);
-    return { el, role, index, hash, snippet };
+  // Taking the pending records keeps them from the observer callback, so schedule the pass it would have
+  if (observer && collectMutations(observer.takeRecords())) debouncedProcess();
+  return siteAdapter.findMessages().map((el, index) => {
+    let msg = messageCache.get(el);
+    if (!msg || msg.streaming || dirtyMessages.has(el)) {
+      msg = describeMessage(el);
+      messageCache.set(el, msg);
+      dirtyMessages.delete(el);
+    }
+    msg.index = index;
+    return msg;
   });
 }
 
+/** Messages that can be anchored to: everything but an answer still being written */
+function settledMessages() {
+  return discoverMessages().filter(m => !m.streaming);
+}
+
+/** The settled message a fresh `msgRef` (taken from it this session) points at */
+function messageForRef(ref) {
+  return settledMessages().find(m => m.hash === ref?.hash && m.index === ref?.indexHint) || null;
+}
+
 function remapMarkers(storedMarkers, currentMsgs) {
   return storedMarkers.map(marker => {
     const ref = marker.msgRef;
-    if (!ref) return { ...marker, _domEl: null, _missing: true };
+    if (!ref) return { ...marker, _domEl: null, _missing: true, _uncertain: false, _candidate: null };
 
-    // 1) Exact hash
-    let found = currentMsgs.find(m => m.hash === ref.hash);
+    const { msg, confidence } = matchMessage(ref, currentMsgs);
+    // Low-confidence matches are surfaced for the user to confirm, never linked silently
+    const linked = confidence === 'exact' || confidence === 'high' ? msg : null;
+    const _range = linked && marker.range ? resolveTextAnchor(linked.el, marker.range) : null;
+    return {
+      ...marker,
+      _domEl: linked ? linked.el : null,
+      _missing: !msg,
+      _uncertain: confidence === 'low',
+      _candidate: confidence === 'low' ? msg : null,
+      _confidence: confidence,
+      _range,
+      _matchedMsg: linked
+    };
+  });
+}
 
-    // 2) Role + snippet prefix
-    if (!found && ref.snippet) {
-      const prefix = ref.snippet.slice(0, 40).toLowerCase();
-      found = currentMsgs.find(m =>
-        m.role === ref.role && m.snippet.toLowerCase().startsWith(prefix)
-      );
-    }
+/** Replies sit on their thread's message, whatever their own copy of the msgRef says */
+function attachReplies(list) {
+  const byId = new Map(list.map(m => [m.id, m]));
+  return list.map(m => {
+    const rootId = threadRootId(m, byId);
+    if (rootId === m.id) return m;
+    const root = byId.get(rootId);
+    return {
+      ...m, _rootId: rootId, _domEl: root._domEl, _range: null, _missing: root._missing,
+      _uncertain: root._uncertain, _candidate: root._candidate, _matchedMsg: root._matchedMsg
+    };
+  });
+}
 
-    // 3) Index hint fallback
-    if (!found && ref.indexHint !== undefined) {
-      const sameRole = currentMsgs.filter(m => m.role === ref.role);
-      if (sameRole.length > 0) {
-        found = sameRole.reduce((best, m) =>
-          Math.abs(m.index - ref.indexHint) < Math.abs(best.index - ref.indexHint) ? m : best
-        );
-      }
+/** Store message ids/fingerprints on confidently matched legacy refs so future matches are exact */
+function upgradeMsgRefs() {
+  let changed = false;
+  markers.forEach(m => {
+    const msg = m._matchedMsg;
+    if (!msg || !m.msgRef) return;
+    if ((msg.messageId && m.msgRef.messageId !== msg.messageId) || !m.msgRef.fingerprint) {
+      m.msgRef = { ...m.msgRef, ...msgRefFrom(msg) };
+      changed = true;
     }
+  });
+  if (changed) saveMarkers(markers);
+}
+
+// ─── Text Anchors ─────────────────────────────────────────────────────────────
+// A range marker stores a quote selector (exact text + surrounding context) and
+// a character offset hint, so it can be re-found after the site re-renders.
+function collectTextNodes(root) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode: n => n.parentElement?.closest(EXTENSION_UI_SELECTOR)
+      ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
+  });
+  const nodes = [];
+  while (walker.nextNode()) nodes.push(walker.currentNode);
+  return nodes;
+}
+
+function pointToOffset(nodes, container, offset) {
+  const point = document.createRange();
+  point.setStart(container, offset);
+  let acc = 0;
+  for (const n of nodes) {
+    if (n === container) return acc + offset;
+    if (point.comparePoint(n, 0) > 0) return acc;
+    acc += n.data.length;
+  }
+  return acc;
+}
+
+function offsetToPoint(nodes, offset, isEnd) {
+  let acc = 0;
+  for (const n of nodes) {
+    const len = n.data.length;
+    if (offset < acc + len || (isEnd && offset === acc + len)) return [n, offset - acc];
+    acc += len;
+  }
+  const last = nodes[nodes.length - 1];
+  return last ? [last, last.data.length] : null;
+}
+
+/** Build a text anchor for a DOM Range that lies inside a message element */
+function buildTextAnchor(msgEl, range) {
+  const nodes = collectTextNodes(msgEl);
+  const text = nodes.map(n => n.data).join('');
+  const start = pointToOffset(nodes, range.startContainer, range.startOffset);
+  const end = pointToOffset(nodes, range.endContainer, range.endOffset);
+  const quote = text.slice(start, end);
+  if (!quote.trim()) return null;
+  return {
+    quote,
+    prefix: text.slice(Math.max(0, start - RANGE_CONTEXT_CHARS), start),
+    suffix: text.slice(end, end + RANGE_CONTEXT_CHARS),
+    start
+  };
+}
+
+function commonSuffixLength(a, b) {
+  let n = 0;
+  while (n < a.length && n < b.length && a[a.length - 1 - n] === b[b.length - 1 - n]) n++;
+  return n;
+}
 
-    return { ...marker, _domEl: found ? found.el : null, _missing: !found };
+function commonPrefixLength(a, b) {
+  let n = 0;
+  while (n < a.length && n < b.length && a[n] === b[n]) n++;
+  return n;
+}
+
+/** Re-find a stored text anchor inside a message element; returns a live Range or null */
+function resolveTextAnchor(msgEl, anchor) {
+  if (!anchor || !anchor.quote) return null;
+  const nodes = collectTextNodes(msgEl);
+  const text = nodes.map(n => n.data).join('');
+
+  let best = -1, bestScore = -Infinity;
+  for (let i = text.indexOf(anchor.quote); i !== -1; i = text.indexOf(anchor.quote, i + 1)) {
+    const before = text.slice(Math.max(0, i - RANGE_CONTEXT_CHARS), i);
+    const after = text.slice(i + anchor.quote.length, i + anchor.quote.length + RANGE_CONTEXT_CHARS);
+    const score = commonSuffixLength(before, anchor.prefix || '')
+      + commonPrefixLength(after, anchor.suffix || '')
+      - Math.abs(i - (anchor.start || 0)) / 1000;
+    if (score > bestScore) { bestScore = score; best = i; }
+  }
+  if (best === -1) return null;
+
+  const startPt = offsetToPoint(nodes, best, false);
+  const endPt = offsetToPoint(nodes, best + anchor.quote.length, true);
+  if (!startPt || !endPt) return null;
+  const range = document.createRange();
+  range.setStart(...startPt);
+  range.setEnd(...endPt);
+  return range;
+}
+
+/** Paint range markers inline via the CSS Custom Highlight API (no DOM mutation) */
+function paintRangeHighlights() {
+  if (typeof CSS === 'undefined' || !CSS.highlights) return;
+  COLORS.forEach(({ value }) => {
+    const ranges = markers.filter(m => m._range && (m.color || 'yellow') === value).map(m => m._range);
+    if (ranges.length) CSS.highlights.set(`cm-range-${value}`, new Highlight(...ranges));
+    else CSS.highlights.delete(`cm-range-${value}`);
   });
+  const guestRanges = (guestLayer ? guestLayer.markers : []).filter(m => m._range).map(m => m._range);
+  if (guestRanges.length) CSS.highlights.set('cm-range-guest', new Highlight(...guestRanges));
+  else CSS.highlights.delete('cm-range-guest');
 }
 
 // ─── Note Button Injection ────────────────────────────────────────────────────
+/** Add the ＋ button to settled messages that lack one and drop buttons left on elements that are no longer messages */
 function injectNoteButtons(currentMsgs) {
-  document.querySelectorAll('.cm-add-note-btn').forEach(b => b.remove());
-  currentMsgs.forEach(({ el, role, index, hash, snippet }) => {
-    if (el.querySelector('.cm-add-note-btn')) return;
+  const msgEls = new Set(currentMsgs.map(m => m.el));
+  document.querySelectorAll('.cm-add-note-btn').forEach(b => { if (!msgEls.has(b.parentElement)) b.remove(); });
+  currentMsgs.forEach(msg => {
+    const { el } = msg;
+    if (msg.streaming || el.querySelector(':scope > .cm-add-note-btn')) return;
     const btn = document.createElement('button');
     btn.className = 'cm-add-note-btn';
     btn.title = 'Add a Chat Marker note';
     btn.textContent = '＋';
     btn.addEventListener('click', (e) => {
       e.stopPropagation();
-      const existing = markers.find(m => m.msgRef && m.msgRef.hash === hash);
-      openModal(existing || null, { role, hash, snippet, indexHint: index });
+      const current = settledMessages().find(m => m.el === el);
+      if (current) openModal(null, msgRefFrom(current));
     });
     el.style.position = 'relative';
+    el.classList.add('cm-msg');
     el.appendChild(btn);
   });
 }
 
+// ─── Selection Button ─────────────────────────────────────────────────────────
+function findMessageForRange(range) {
+  const node = range.commonAncestorContainer;
+  return settledMessages().find(m => m.el.contains(node)) || null;
+}
+
+/** The page selection as a note target (`{ range, msgRefData }`), or null unless it lies in one message */
+function selectionTarget() {
+  const sel = window.getSelection();
+  if (!sel || sel.isCollapsed || sel.rangeCount === 0) return null;
+  const range = sel.getRangeAt(0);
+  if (sidebarEl?.contains(range.commonAncestorContainer)) return null;
+  const msg = findMessageForRange(range);
+  const anchor = msg && buildTextAnchor(msg.el, range);
+  return anchor ? { range, msgRefData: { ...msgRefFrom(msg), range: anchor } } : null;
+}
+
+function onSelectionEnd() {
+  setTimeout(() => {
+    if (modalEl) return;
+    const target = selectionTarget();
+    if (!target) { hideSelectionButton(); return; }
+    showSelectionButton(target.range.getBoundingClientRect(), target.msgRefData);
+  }, 0);
+}
+
+function showSelectionButton(rect, msgRefData) {
+  if (!selectionBtnEl) {
+    selectionBtnEl = document.createElement('button');
+    selectionBtnEl.id = 'cm-selection-btn';
+    selectionBtnEl.textContent = '＋ Note';
+    selectionBtnEl.title = 'Add a Chat Marker note to the selected text';
+    // Keep the page selection alive while the button is pressed
+    selectionBtnEl.addEventListener('mousedown', e => e.preventDefault());
+    selectionBtnEl.addEventListener('click', () => {
+      const data = selectionBtnEl._cmMsgRefData;
+      hideSelectionButton();
+      window.getSelection()?.removeAllRanges();
+      if (data) openModal(null, data);
+    });
+    document.body.appendChild(selectionBtnEl);
+  }
+  selectionBtnEl._cmMsgRefData = msgRefData;
+  selectionBtnEl.style.top = Math.max(4, rect.top - 34) + 'px';
+  selectionBtnEl.style.left = Math.max(4, rect.left + rect.width / 2 - 32) + 'px';
+  selectionBtnEl.style.display = 'block';
+}
+
+function hideSelectionButton() {
+  if (selectionBtnEl) { selectionBtnEl.style.display = 'none'; selectionBtnEl._cmMsgRefData = null; }
+}
+
 // ─── Modal ────────────────────────────────────────────────────────────────────
-const COLORS = [
-  { value: 'yellow', label: '🟡 Yellow' },
-  { value: 'blue',   label: '🔵 Blue'   },
-  { value: 'green',  label: '🟢 Green'  },
-  { value: 'red',    label: '🔴 Red'    },
-  { value: 'purple', label: '🟣 Purple' },
-];
-
-function openModal(existingMarker, msgRefData) {
+/** Notes already on the message a modal is about, in thread order */
+function messageThread(existingMarker, msgRefData, parent) {
+  const el = existingMarker?._domEl || parent?._domEl || messageForRef(msgRefData)?.el;
+  if (!el) return [];
+  return threadOrder(markers.filter(m => m._domEl === el && m.id !== existingMarker?.id));
+}
+
+function threadItemHtml(marker, parent) {
+  return `
+    <div class="cm-thread-item cm-note-${marker.color || 'yellow'}${marker._rootId ? ' cm-thread-reply' : ''}${marker.id === parent?.id ? ' cm-thread-target' : ''}" data-id="${esc(marker.id)}">
+      <div class="cm-note-meta">
+        ${markerTagsHtml(marker)}
+        <span class="cm-note-date">${new Date(marker.createdAt).toLocaleString()}</span>
+      </div>
+      ${marker.range ? `<div class="cm-note-quote">“${esc(marker.range.quote.slice(0, 100))}”</div>` : ''}
+      <div class="cm-note-text cm-md">${renderMarkdown(marker.note)}</div>
+      <div class="cm-note-actions">
+        <button type="button" class="cm-thread-edit">✏ Edit</button>
+        <button type="button" class="cm-thread-reply-btn">↩ Reply</button>
+      </div>
+    </div>`;
+}
+
+/**
+ * Add (`existingMarker` null), edit, or reply to `parent`. The notes already on
+ * the message are listed above the form so another one can be added or answered.
+ */
+function openModal(existingMarker, msgRefData, parent = null) {
   closeModal();
+  hideSelectionButton();
+  const quote = parent ? '' : existingMarker?.range?.quote || msgRefData?.range?.quote || '';
+  const thread = messageThread(existingMarker, msgRefData, parent);
   modalEl = document.createElement('div');
   modalEl.className = 'cm-modal-overlay';
   modalEl.innerHTML = `
     <div class="cm-modal" role="dialog" aria-modal="true">
       <div class="cm-modal-header">
-        <span>${existingMarker ? '✏️ Edit Note' : '＋ Add Note'}</span>
+        <span>${existingMarker ? '✏️ Edit Note' : parent ? '↩ Reply' : '＋ Add Note'}</span>
         <button class="cm-modal-close" title="Close">✕</button>
       </div>
       <div class="cm-modal-body">
-        <label for="cm-note-text">Note</label>
-        <textarea id="cm-note-text" placeholder="Enter your note…" rows="3">${existingMarker ? esc(existingMarker.note) : ''}</textarea>
-        <label for="cm-note-tag">Tag (optional)</label>
-        <input id="cm-note-tag" type="text" placeholder="e.g. important, question" value="${existingMarker ? esc(existingMarker.tag || '') : ''}">
+        ${thread.length ? `
+          <div class="cm-thread">
+            <div class="cm-thread-label">On this message (${thread.length})</div>
+            ${thread.map(m => threadItemHtml(m, parent)).join('')}
+          </div>` : ''}
+        ${quote ? `<blockquote class="cm-modal-quote">${esc(quote)}</blockquote>` : ''}
+        <div class="cm-note-label-row">
+          <label for="cm-note-text">${parent ? 'Reply' : thread.length && !existingMarker ? 'Another note' : 'Note'}</label>
+          <button type="button" class="cm-preview-toggle" title="Markdown: **bold**, *italic*, \`code\`, [links](https://…), - [ ] tasks">Preview</button>
+        </div>
+        <textarea id="cm-note-text" placeholder="Enter your note… (Markdown supported)" rows="4">${existingMarker ? esc(existingMarker.note) : ''}</textarea>
+        <div class="cm-note-preview cm-md" style="display:none;"></div>
+        <label for="cm-note-tag">Tags (optional)</label>
+        <div class="cm-tag-editor">
+          <span class="cm-tag-chips"></span>
+          <input id="cm-note-tag" type="text" placeholder="e.g. important, question" autocomplete="off">
+        </div>
+        <div class="cm-tag-suggestions"></div>
         <label for="cm-note-color">Color</label>
         <select id="cm-note-color">
-          ${COLORS.map(c => `<option value="${c.value}" ${(existingMarker?.color || 'yellow') === c.value ? 'selected' : ''}>${c.label}</option>`).join('')}
+          ${markerColors.map(c => `<option value="${c.value}" ${(existingMarker?.color || settings.defaultColor) === c.value ? 'selected' : ''}>${esc(c.label)}</option>`).join('')}
         </select>
+        <div class="cm-followup-row">
+          <div>
+            <label for="cm-note-status">Status</label>
+            <select id="cm-note-status">
+              ${Object.entries(MARKER_STATUSES).map(([value, label]) => `<option value="${value}" ${markerStatus(existingMarker || {}) === value ? 'selected' : ''}>${label}</option>`).join('')}
+            </select>
+          </div>
+          <div>
+            <label for="cm-note-due">Remind me (optional)</label>
+            <input id="cm-note-due" type="datetime-local" value="${existingMarker?.dueAt ? toLocalInputValue(existingMarker.dueAt) : ''}">
+          </div>
+        </div>
       </div>
       <div class="cm-modal-footer">
         ${existingMarker ? '<button class="cm-btn cm-btn-danger cm-modal-delete">🗑 Delete</button>' : ''}
@@ -217,21 +528,42 @@ function openModal(existingMarker, msgRefData) {
     </div>
   `;
   document.body.appendChild(modalEl);
-  setTimeout(() => modalEl.querySelector('#cm-note-text')?.focus(), 50);
+  setTimeout(() => modalEl?.querySelector('#cm-note-text')?.focus(), 50);
+  const readTags = setupTagEditor(modalEl, existingMarker?.tags || []);
+
+  const textEl = modalEl.querySelector('#cm-note-text');
+  const previewEl = modalEl.querySelector('.cm-note-preview');
+  const previewBtn = modalEl.querySelector('.cm-preview-toggle');
+  previewBtn.onclick = () => {
+    const showPreview = previewEl.style.display === 'none';
+    previewEl.innerHTML = renderMarkdown(textEl.value) || '<span class="cm-empty">Nothing to preview.</span>';
+    previewEl.style.display = showPreview ? 'block' : 'none';
+    textEl.style.display = showPreview ? 'none' : '';
+    previewBtn.textContent = showPreview ? 'Write' : 'Preview';
+    if (!showPreview) textEl.focus();
+  };
 
   modalEl.querySelector('.cm-modal-close').onclick = closeModal;
   modalEl.querySelector('.cm-modal-cancel').onclick = closeModal;
   modalEl.addEventListener('click', e => { if (e.target === modalEl) closeModal(); });
+  modalEl.querySelectorAll('.cm-thread-item').forEach(item => {
+    const marker = markers.find(m => m.id === item.dataset.id);
+    const root = markers.find(m => m.id === (marker._rootId || marker.id));
+    item.querySelector('.cm-thread-edit').onclick = () => openModal(marker, marker.msgRef);
+    item.querySelector('.cm-thread-reply-btn').onclick = () => openModal(null, root.msgRef, root);
+  });
 
   const delBtn = modalEl.querySelector('.cm-modal-delete');
   if (delBtn) delBtn.onclick = () => { deleteMarker(existingMarker.id); closeModal(); };
 
   modalEl.querySelector('.cm-modal-save').onclick = () => {
     const note = modalEl.querySelector('#cm-note-text').value.trim();
-    const tag  = modalEl.querySelector('#cm-note-tag').value.trim();
+    const tags = readTags();
     const color = modalEl.querySelector('#cm-note-color').value;
+    const status = modalEl.querySelector('#cm-note-status').value;
+    const due = modalEl.querySelector('#cm-note-due').value;
     if (!note) { modalEl.querySelector('#cm-note-text').classList.add('cm-error'); return; }
-    saveMarkerFromModal(existingMarker, msgRefData, note, tag, color);
+    saveMarkerFromModal(existingMarker, msgRefData, { note, tags, color, status, dueAt: due ? new Date(due).toISOString() : null }, parent);
     closeModal();
   };
 
@@ -245,31 +577,252 @@ function closeModal() {
   if (modalEl) { modalEl.remove(); modalEl = null; }
 }
 
-async function saveMarkerFromModal(existingMarker, msgRefData, note, tag, color) {
+/** Tags used in any conversation, most used first, for autocomplete */
+async function loadKnownTags() {
+  const all = await chrome.storage.local.get(null);
+  const entries = Object.entries(all)
+    .filter(([k]) => k.startsWith(MARKER_KEY_PREFIX))
+    .map(([k, v]) => normalizeEntry(v, k));
+  return [...countTags(entries)].sort((a, b) => b[1] - a[1]).map(([t]) => t);
+}
+
+/**
+ * Chip editor for the modal's tags. Enter or comma adds the typed tag, Tab takes
+ * the first suggestion, Backspace on an empty input removes the last chip.
+ * Returns a function that reads the final list (including any text still typed).
+ */
+function setupTagEditor(container, initialTags) {
+  const tags = [...initialTags];
+  const input = container.querySelector('#cm-note-tag');
+  const chipsEl = container.querySelector('.cm-tag-chips');
+  const suggestEl = container.querySelector('.cm-tag-suggestions');
+  let known = [];
+  loadKnownTags().then(list => { known = list; });
+
+  const renderChips = () => {
+    chipsEl.innerHTML = tags.map((t, i) =>
+      `<span class="cm-tag" ${tagStyle(t, settings.tagColors)}>${esc(t)}<button type="button" class="cm-tag-remove" data-i="${i}" title="Remove tag">×</button></span>`
+    ).join('');
+  };
+  const renderSuggestions = () => {
+    const q = normalizeTag(input.value);
+    const matches = q ? known.filter(t => t.includes(q) && !tags.includes(t)).slice(0, 6) : [];
+    suggestEl.innerHTML = matches.map(t =>
+      `<button type="button" class="cm-tag-suggestion" data-tag="${esc(t)}">${esc(t)}</button>`
+    ).join('');
+  };
+  const add = value => {
+    parseTags(value).forEach(t => { if (!tags.includes(t)) tags.push(t); });
+    input.value = '';
+    renderChips();
+    renderSuggestions();
+  };
+
+  chipsEl.addEventListener('click', e => {
+    const btn = e.target.closest('.cm-tag-remove');
+    if (btn) { tags.splice(Number(btn.dataset.i), 1); renderChips(); }
+  });
+  suggestEl.addEventListener('click', e => {
+    const btn = e.target.closest('.cm-tag-suggestion');
+    if (btn) { add(btn.dataset.tag); input.focus(); }
+  });
+  input.addEventListener('input', () => {
+    if (input.value.includes(',')) add(input.value); else renderSuggestions();
+  });
+  input.addEventListener('keydown', e => {
+    const first = suggestEl.querySelector('.cm-tag-suggestion');
+    if (e.key === 'Enter' && !e.ctrlKey && !e.metaKey && input.value.trim()) {
+      e.preventDefault();
+      add(input.value);
+    } else if (e.key === 'Tab' && first && input.value.trim()) {
+      e.preventDefault();
+      add(first.dataset.tag);
+    } else if (e.key === 'Backspace' && !input.value && tags.length > 0) {
+      tags.pop();
+      renderChips();
+    }
+  });
+  renderChips();
+  return () => { add(input.value); return [...tags]; };
+}
+
+/** `datetime-local` input value (local time, minutes) for an ISO date */
+function toLocalInputValue(iso) {
+  const d = new Date(iso);
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+/** Apply the modal's `status` / `dueAt` to a marker; a new due date re-arms the reminder */
+function applyFollowUp(marker, status, dueAt) {
+  const next = { ...marker, status };
+  if (dueAt !== (marker.dueAt || null)) delete next.remindedAt;
+  if (dueAt) next.dueAt = dueAt; else delete next.dueAt;
+  return next;
+}
+
+/** `fields` are the modal's `{ note, tags, color, status, dueAt }`; a new note with `parent` is a reply */
+async function saveMarkerFromModal(existingMarker, msgRefData, fields, parent = null) {
   const now = new Date().toISOString();
+  const { status, dueAt, ...content } = fields;
+  recordHistory(existingMarker ? 'edit note' : parent ? 'reply' : 'add note');
   if (existingMarker) {
     const idx = markers.findIndex(m => m.id === existingMarker.id);
-    if (idx !== -1) markers[idx] = { ...markers[idx], note, tag, color, updatedAt: now };
+    if (idx !== -1) markers[idx] = applyFollowUp({ ...markers[idx], ...content, updatedAt: now }, status, dueAt);
   } else {
-    markers.push({
-      id: genId(),
-      msgRef: {
-        role: msgRefData.role, hash: msgRefData.hash,
-        snippet: msgRefData.snippet, indexHint: msgRefData.indexHint
-      },
-      note, tag, color, createdAt: now, updatedAt: now
-    });
+    const { range, ...msgRef } = msgRefData;
+    const marker = applyFollowUp({ id: genId(), msgRef, ...content, createdAt: now, updatedAt: now }, status, dueAt);
+    if (range) marker.range = range;
+    if (parent) marker.parentId = parent.id;
+    else {
+      const snapshotId = await captureSnapshot(messageForRef(msgRef));
+      if (snapshotId) marker.snapshotId = snapshotId;
+    }
+    markers.push(marker);
   }
   await saveMarkers(markers);
   rebuildUI();
+  showUndoToast(existingMarker ? '✅ Note updated.' : parent ? '✅ Reply added.' : '✅ Note added.');
+}
+
+/** Delete a note; deleting a top-level note takes its replies with it */
+function deleteMarker(id) {
+  return deleteMarkers([id]);
+}
+
+async function deleteMarkers(ids) {
+  const picked = new Set(ids);
+  const removed = markers.filter(m => picked.has(m.id) || picked.has(m._rootId));
+  if (removed.length === 0) return;
+  recordHistory(picked.size > 1 ? 'delete notes' : 'delete note');
+  markers = markers.filter(m => !removed.includes(m));
+  await saveMarkers(markers);
+  await addToTrash([{ type: 'marker', key: chatKey, meta: chatMeta, markers: removed.map(cleanMarker) }]);
+  rebuildUI();
+  const replies = removed.length - 1;
+  showUndoToast(picked.size > 1
+    ? `🗑 ${removed.length} notes deleted – kept in the trash.`
+    : `🗑 Note${replies ? ` and ${replies} repl${replies === 1 ? 'y' : 'ies'}` : ''} deleted – kept in the trash.`);
+}
+
+// ─── Undo / Redo ──────────────────────────────────────────────────────────────
+function snapshotMarkers() {
+  return markers.map(m => structuredClone(cleanMarker(m)));
 }
 
-async function deleteMarker(id) {
-  markers = markers.filter(m => m.id !== id);
+/**
+ * Remember the current markers before a change so it can be undone. A move to
+ * another conversation also passes `transfer` (`{ key, sourceIds, markers }`: the
+ * target, the ids that left this chat and the notes as added there), so undo and
+ * redo update the target too.
+ */
+function recordHistory(label, transfer = null) {
+  undoStack.push({ label, markers: snapshotMarkers(), transfer });
+  if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+  redoStack = [];
+  updateHistoryButtons();
+}
+
+function resetHistory() {
+  undoStack = [];
+  redoStack = [];
+  updateHistoryButtons();
+}
+
+/**
+ * Carry a change made outside this tab (a reminder, sync, the options page) from
+ * `before` to `after` into every undo/redo snapshot, field by field, so the history
+ * survives it and undoing later does not revert it.
+ */
+function rebaseHistory(before, after) {
+  const beforeById = new Map(before.map(m => [m.id, m]));
+  const afterById = new Map(after.map(m => [m.id, m]));
+  const arrived = after.filter(m => !beforeById.has(m.id));
+  const rebase = list => [
+    ...list
+      .filter(m => afterById.has(m.id) || !beforeById.has(m.id))
+      .filter(m => !arrived.some(a => a.id === m.id))
+      .map(m => {
+        const old = beforeById.get(m.id);
+        const now = afterById.get(m.id);
+        if (!old) return m;
+        const merged = { ...m };
+        new Set([...Object.keys(old), ...Object.keys(now)]).forEach(k => {
+          if (stableStringify(old[k]) === stableStringify(now[k])) return;
+          if (k in now) merged[k] = structuredClone(now[k]); else delete merged[k];
+        });
+        return merged;
+      }),
+    ...arrived.map(m => structuredClone(m))
+  ];
+  [...undoStack, ...redoStack].forEach(entry => { entry.markers = rebase(entry.markers); });
+}
+
+/**
+ * Replace the markers with a snapshot, keeping the trash in step with what disappears
+ * or returns. `movedIds` leave for another conversation, so they are not trashed.
+ */
+async function applySnapshot(target, movedIds = []) {
+  const targetIds = new Set(target.map(m => m.id));
+  const currentIds = new Set(markers.map(m => m.id));
+  const removed = markers.filter(m => !targetIds.has(m.id) && !movedIds.includes(m.id)).map(cleanMarker);
+  const restoredIds = target.filter(m => !currentIds.has(m.id)).map(m => m.id);
+  markers = target;
   await saveMarkers(markers);
+  if (removed.length) await addToTrash([{ type: 'marker', key: chatKey, meta: chatMeta, markers: removed }]);
+  await removeMarkersFromTrash(chatKey, restoredIds);
   rebuildUI();
 }
 
+async function undo() {
+  const entry = undoStack.pop();
+  if (!entry) { showToast('Nothing to undo.', 'info'); return; }
+  redoStack.push({ label: entry.label, markers: snapshotMarkers(), transfer: entry.transfer });
+  // Back here first, then out of the target, so the notes are never in neither
+  await applySnapshot(entry.markers);
+  if (entry.transfer) await removeStoredMarkers(entry.transfer.key, entry.transfer.markers.map(m => m.id));
+  updateHistoryButtons();
+  showToast(`↶ Undone: ${entry.label}`, 'info', 5000, { label: 'Redo', onClick: redo });
+}
+
+async function redo() {
+  const entry = redoStack.pop();
+  if (!entry) { showToast('Nothing to redo.', 'info'); return; }
+  const { transfer } = entry;
+  undoStack.push({ label: entry.label, markers: snapshotMarkers(), transfer });
+  // Ids taken in the target since are remapped; undo then removes the new ones
+  if (transfer) transfer.markers = await addStoredMarkers(transfer.key, transfer.markers);
+  await applySnapshot(entry.markers, transfer ? transfer.sourceIds : []);
+  updateHistoryButtons();
+  showToast(`↷ Redone: ${entry.label}`, 'info', 5000, { label: 'Undo', onClick: undo });
+}
+
+function updateHistoryButtons() {
+  const undoBtn = document.querySelector('#cm-sidebar .cm-undo-btn');
+  const redoBtn = document.querySelector('#cm-sidebar .cm-redo-btn');
+  if (undoBtn) {
+    undoBtn.disabled = undoStack.length === 0;
+    undoBtn.title = undoStack.length ? `Undo ${undoStack[undoStack.length - 1].label}` : 'Nothing to undo';
+  }
+  if (redoBtn) {
+    redoBtn.disabled = redoStack.length === 0;
+    redoBtn.title = redoStack.length ? `Redo ${redoStack[redoStack.length - 1].label}` : 'Nothing to redo';
+  }
+}
+
+/** Undo `entry` from a toast, unless newer changes were made since */
+function undoFromToast(entry) {
+  if (undoStack[undoStack.length - 1] !== entry) {
+    showToast('Newer changes were made since. Use ↶ to undo them first.', 'warn');
+    return;
+  }
+  undo();
+}
+
+function showUndoToast(msg) {
+  const entry = undoStack[undoStack.length - 1];
+  showToast(msg, 'success', 6000, { label: 'Undo', onClick: () => undoFromToast(entry) });
+}
+
 // ─── Sidebar ──────────────────────────────────────────────────────────────────
 function buildSidebar() {
   if (sidebarEl) sidebarEl.remove();
@@ -277,8 +830,9 @@ function buildSidebar() {
   sidebarEl.id = 'cm-sidebar';
   sidebarEl.innerHTML = `
     <div class="cm-sidebar-header">
-      <span class="cm-title">📌 Markers</span>
+      <span class="cm-title">📌<span class="cm-title-text"> Markers</span></span>
       <div class="cm-header-actions">
+        <button class="cm-icon-btn cm-palette-btn" title="Search markers (command palette)">⌕</button>
         <button class="cm-icon-btn cm-toggle-panel" title="Toggle marker list">☰</button>
         <button class="cm-icon-btn cm-help-btn" title="Help">?</button>
       </div>
@@ -289,10 +843,23 @@ function buildSidebar() {
     <div class="cm-panel" id="cm-panel" style="display:none;">
       <div class="cm-panel-toolbar">
         <input class="cm-search" id="cm-search" type="text" placeholder="Search notes…">
+        <button class="cm-icon-btn cm-select-btn" title="Select notes">☑</button>
+        <button class="cm-icon-btn cm-undo-btn" title="Nothing to undo" disabled>↶</button>
+        <button class="cm-icon-btn cm-redo-btn" title="Nothing to redo" disabled>↷</button>
         <button class="cm-icon-btn cm-export-btn" title="Export notes">⬆</button>
         <button class="cm-icon-btn cm-import-btn" title="Import notes">⬇</button>
+        <button class="cm-icon-btn cm-share-btn" title="Share notes / open shared notes">🔗</button>
         <input type="file" id="cm-import-file" accept=".json" style="display:none">
       </div>
+      <div class="cm-export-menu" id="cm-export-menu" style="display:none;">
+        <span>Export as</span>
+        <button class="cm-btn cm-btn-secondary" data-format="json">JSON</button>
+        <button class="cm-btn cm-btn-secondary" data-format="markdown">Markdown</button>
+        <button class="cm-btn cm-btn-secondary" data-format="html">HTML</button>
+      </div>
+      <div class="cm-view-bar" id="cm-view-bar"></div>
+      <div class="cm-bulk-bar" id="cm-bulk-bar" style="display:none;"></div>
+      <div class="cm-tag-bar" id="cm-tag-bar"></div>
       <div class="cm-note-list" id="cm-note-list"></div>
     </div>
     <div class="cm-help-panel" id="cm-help-panel" style="display:none;">
@@ -300,11 +867,24 @@ function buildSidebar() {
         <strong>Chat Markers Help</strong>
         <ul>
           <li>Hover a message → click <b>＋</b> to add a note</li>
-          <li>Click a <b>track pip</b> to jump to that message</li>
+          <li>Select text in a message → click <b>＋ Note</b> to mark that passage</li>
+          <li>A message can hold several notes: <b>＋</b> lists them, and <b>↩ Reply</b> answers one</li>
+          <li>Click a <b>track pip</b> to jump to that message; hover it for a preview, or hover a number badge to list markers that overlap</li>
+          <li>Drag the framed window on the track to scroll the conversation</li>
           <li>Right-click a pip to <b>delete</b> it</li>
+          <li>Use <b>↶</b> / <b>↷</b> or the toast's <b>Undo</b> to revert changes; deleted notes go to the trash in Options</li>
+          <li>Use <b>☑</b> to select notes (Shift-click for a range) and recolor, retag, export, move, copy or delete them together</li>
           <li>Use <b>⬆ Export</b> / <b>⬇ Import</b> to backup/restore</li>
+          <li>Export as <b>Markdown</b> or <b>HTML</b> to share notes</li>
+          <li>Use <b>🔗</b> to copy a share link; whoever opens it with Chat Markers sees your notes (read-only) and can copy them</li>
+          <li>Turn on <b>saved copies</b> in Options to keep each marked message; <b>📄 Saved copy</b> shows it even after the message is gone</li>
+          <li>Sort and group the list, or show only missing notes or one side of the chat; the track dims notes the list hides</li>
           <li>Notes persist per conversation URL</li>
+          <li>Sidebar side, width, colors and theme can be changed in <b>Options</b></li>
           <li>Press <b>Ctrl+Enter</b> to save in modal</li>
+          <li>Notes support <b>Markdown</b>: <code>**bold**</code>, <code>\`code\`</code>, links and <code>- [ ] tasks</code> you can tick in the list</li>
+          <li>Right-click a message for <b>Mark this message</b> or selected text for <b>Add note to selection</b>; the toolbar icon lists this chat's notes</li>
+          <li><b>Alt+Shift+N</b> add note · <b>Alt+Shift+↑/↓</b> previous/next marker · <b>Alt+Shift+K</b> search markers (change in <i>chrome://extensions/shortcuts</i>)</li>
           <li>Developed by : <b>Disitha Ranasinghe</b></li>
         </ul>
         <button class="cm-btn cm-btn-secondary cm-close-help">Close</button>
@@ -313,11 +893,8 @@ function buildSidebar() {
   `;
   document.body.appendChild(sidebarEl);
 
-  sidebarEl.querySelector('.cm-toggle-panel').onclick = () => {
-    panelOpen = !panelOpen;
-    document.getElementById('cm-panel').style.display = panelOpen ? 'flex' : 'none';
-    document.getElementById('cm-help-panel').style.display = 'none';
-  };
+  sidebarEl.querySelector('.cm-toggle-panel').onclick = togglePanel;
+  sidebarEl.querySelector('.cm-palette-btn').onclick = openPalette;
 
   sidebarEl.querySelector('.cm-help-btn').onclick = () => {
     const hp = document.getElementById('cm-help-panel');
@@ -330,198 +907,1546 @@ function buildSidebar() {
   };
 
   const searchEl = document.getElementById('cm-search');
-  searchEl.addEventListener('input', debounce(() => renderNoteList(searchEl.value), 200));
-  sidebarEl.querySelector('.cm-export-btn').onclick = exportNotes;
+  searchEl.addEventListener('input', debounce(refreshListView, 200));
+  const exportMenu = document.getElementById('cm-export-menu');
+  sidebarEl.querySelector('.cm-export-btn').onclick = () => {
+    exportMenu.style.display = exportMenu.style.display === 'none' ? 'flex' : 'none';
+  };
+  exportMenu.querySelectorAll('[data-format]').forEach(btn => {
+    btn.onclick = () => { exportMenu.style.display = 'none'; exportNotes(btn.dataset.format); };
+  });
+  document.getElementById('cm-tag-bar').addEventListener('click', e => {
+    const chip = e.target.closest('[data-tag]');
+    if (!chip) return;
+    const tag = chip.dataset.tag;
+    if (activeTags.has(tag)) activeTags.delete(tag); else activeTags.add(tag);
+    refreshListView();
+  });
+  const viewBar = document.getElementById('cm-view-bar');
+  viewBar.addEventListener('change', e => {
+    if (e.target.matches('.cm-view-sort')) setListView({ listSort: e.target.value });
+    if (e.target.matches('.cm-view-group')) setListView({ listGroup: e.target.value });
+  });
+  viewBar.addEventListener('click', e => {
+    const chip = e.target.closest('[data-filter]');
+    if (chip) setListView({ listFilter: chip.dataset.filter });
+  });
+  sidebarEl.querySelector('.cm-undo-btn').onclick = undo;
+  sidebarEl.querySelector('.cm-redo-btn').onclick = redo;
+  updateHistoryButtons();
   sidebarEl.querySelector('.cm-import-btn').onclick = () => document.getElementById('cm-import-file').click();
+  sidebarEl.querySelector('.cm-share-btn').onclick = openShareModal;
+  sidebarEl.querySelector('.cm-select-btn').onclick = toggleSelectMode;
   document.getElementById('cm-import-file').onchange = importNotes;
+  applyAppearance();
+}
+
+function togglePanel() {
+  panelOpen = !panelOpen;
+  document.getElementById('cm-panel').style.display = panelOpen ? 'flex' : 'none';
+  document.getElementById('cm-help-panel').style.display = 'none';
 }
 
 function rebuildUI() {
   if (!sidebarEl) buildSidebar();
   const currentMsgs = discoverMessages();
-  const remapped = remapMarkers(markers, currentMsgs);
-  markers = markers.map((m, i) => ({ ...m, _domEl: remapped[i]._domEl, _missing: remapped[i]._missing }));
+  trackMessages = currentMsgs;
+  watchScrollContainer();
+  const settled = currentMsgs.filter(m => !m.streaming);
+  markers = attachReplies(remapMarkers(markers, settled));
+  if (guestLayer) guestLayer.markers = attachReplies(remapMarkers(guestLayer.markers, settled));
+  upgradeMsgRefs();
+  captureMissingSnapshots();
+  recordLinkHealthSoon();
+  paintRangeHighlights();
   renderTrack();
   renderNoteList(document.getElementById('cm-search')?.value || '');
+  focusPendingMarker();
+}
+
+function focusPendingMarker() {
+  if (!pendingFocusId) return;
+  const marker = markers.find(m => m.id === pendingFocusId);
+  if (!marker || (!marker._domEl && trackMessages.length === 0)) return;
+  pendingFocusId = null;
+  scrollToMarker(marker);
+}
+
+/** Vertical position of a viewport rect within the scroller's content, as a percentage */
+function trackPercent(scroller, rect) {
+  const scrollerTop = isPageScroller(scroller) ? 0 : scroller.getBoundingClientRect().top;
+  return ((scroller.scrollTop + rect.top - scrollerTop) / scroller.scrollHeight) * 100;
 }
 
+function pipClassName(marker) {
+  return `cm-pip cm-pip-${marker.color || 'yellow'}${marker._guest ? ' cm-pip-guest' : ''}${marker._missing ? ' cm-pip-missing' : ''}${marker._uncertain ? ' cm-pip-uncertain' : ''}${markerStatus(marker) === 'done' ? ' cm-pip-done' : ''}`;
+}
+
+/** Minimap: role bands per message, the viewport thumb, and marker pips (clustered when they overlap) */
 function renderTrack() {
   const track = document.getElementById('cm-track');
   if (!track) return;
-  track.innerHTML = '';
-  const totalH = document.documentElement.scrollHeight - document.documentElement.clientHeight;
+  track.querySelectorAll('.cm-track-seg, .cm-pip, .cm-pip-cluster').forEach(el => el.remove());
+  if (!trackPopEl?.matches(':hover')) hideTrackPop();
+  const scroller = conversationScroller();
+  const thumb = track.querySelector('.cm-track-thumb') || createTrackThumb(track);
+  const totalH = scroller.scrollHeight - scroller.clientHeight;
+  thumb.style.display = totalH > 0 ? '' : 'none';
   if (totalH <= 0) return;
 
-  markers.forEach(marker => {
+  trackMessages.forEach(msg => {
+    if (!msg.el.isConnected) return;
+    const rect = msg.el.getBoundingClientRect();
+    const seg = document.createElement('div');
+    seg.className = `cm-track-seg cm-track-seg-${msg.role}`;
+    seg.style.top = trackPercent(scroller, rect) + '%';
+    seg.style.height = (rect.height / scroller.scrollHeight) * 100 + '%';
+    track.appendChild(seg);
+  });
+  updateTrackThumb(thumb, scroller);
+
+  const all = [...markers, ...(guestLayer ? guestLayer.markers : [])];
+  // Threads with no note the list shows (search, tag chips, quick filter) get dimmed pips
+  const listed = new Set(all.filter(listFilter(document.getElementById('cm-search')?.value || '')).map(m => m._rootId || m.id));
+  const threadSize = new Map();
+  all.forEach(m => { const id = m._rootId || m.id; threadSize.set(id, (threadSize.get(id) || 0) + 1); });
+  const placed = all.filter(m => !m._rootId).map(marker => {
+    const anchorEl = marker._domEl || marker._candidate?.el;
+    const pct = anchorEl
+      ? trackPercent(scroller, (marker._range || anchorEl).getBoundingClientRect())
+      : estimatedPercent(marker);
+    return { marker, pct: Math.min(99, Math.max(1, pct)) };
+  }).sort((a, b) => a.pct - b.pct);
+
+  const clusterPct = (PIP_CLUSTER_PX / (track.clientHeight || 300)) * 100;
+  const groups = [];
+  placed.forEach(p => {
+    const last = groups[groups.length - 1];
+    if (last && p.pct - last[0].pct < clusterPct) last.push(p); else groups.push([p]);
+  });
+
+  groups.forEach(group => {
+    const pct = group.reduce((sum, p) => sum + p.pct, 0) / group.length;
+    const groupMarkers = group.map(p => p.marker);
+    const count = groupMarkers.reduce((n, m) => n + threadSize.get(m.id), 0);
     const pip = document.createElement('button');
-    pip.className = `cm-pip cm-pip-${marker.color || 'yellow'}${marker._missing ? ' cm-pip-missing' : ''}`;
-    pip.title = (marker._missing ? '⚠ Message not found\n' : '') + marker.note;
-
-    let pct = 50;
-    if (marker._domEl) {
-      const rect = marker._domEl.getBoundingClientRect();
-      const msgScrollY = window.scrollY + rect.top;
-      pct = Math.min(99, Math.max(1, (msgScrollY / (totalH + document.documentElement.clientHeight)) * 100));
+    if (groupMarkers.length === 1) {
+      const [marker] = groupMarkers;
+      pip.className = pipClassName(marker);
+      pip.setAttribute('aria-label', count > 1 ? `${marker.note} (${count} notes)` : marker.note);
+      if (count > 1) pip.innerHTML = `<span class="cm-pip-count">${count}</span>`;
+      pip.addEventListener('click', () => scrollToMarker(marker));
+      if (!marker._guest) {
+        pip.addEventListener('contextmenu', e => {
+          e.preventDefault();
+          deleteMarker(marker.id);
+        });
+      }
+    } else {
+      pip.className = 'cm-pip-cluster';
+      pip.textContent = count;
+      pip.setAttribute('aria-label', `${count} notes`);
+      pip.addEventListener('click', () => scrollToMarker(groupMarkers[0]));
     }
     pip.style.top = pct + '%';
-
-    pip.addEventListener('click', () => scrollToMarker(marker));
-    pip.addEventListener('contextmenu', e => {
-      e.preventDefault();
-      if (confirm(`Delete note:\n"${marker.note.slice(0, 60)}"`)) deleteMarker(marker.id);
-    });
+    if (!groupMarkers.some(m => listed.has(m.id))) pip.classList.add('cm-pip-dimmed');
+    pip.addEventListener('mouseenter', () => showTrackPop(pip, groupMarkers));
+    pip.addEventListener('focus', () => showTrackPop(pip, groupMarkers));
+    pip.addEventListener('mouseleave', hideTrackPopSoon);
+    pip.addEventListener('blur', hideTrackPopSoon);
     track.appendChild(pip);
   });
 }
 
+/** Where a marker whose message is not rendered probably sits, from its saved message index */
+function estimatedPercent(marker) {
+  const hint = marker.msgRef?.indexHint;
+  if (hint === undefined) return 50;
+  return ((hint + 0.5) / Math.max(trackMessages.length, hint + 1)) * 100;
+}
+
+function updateTrackThumb(thumb, scroller) {
+  thumb.style.top = (scroller.scrollTop / scroller.scrollHeight) * 100 + '%';
+  thumb.style.height = (scroller.clientHeight / scroller.scrollHeight) * 100 + '%';
+}
+
+/** The viewport window on the track; dragging it (or pressing on empty track) scrolls the conversation */
+function createTrackThumb(track) {
+  const thumb = document.createElement('div');
+  thumb.className = 'cm-track-thumb';
+  track.appendChild(thumb);
+
+  let drag = null;
+  track.addEventListener('pointerdown', e => {
+    if (e.button !== 0 || e.target.closest('.cm-pip, .cm-pip-cluster')) return;
+    const scroller = conversationScroller();
+    const trackRect = track.getBoundingClientRect();
+    if (e.target !== thumb) {
+      // Centre the viewport on the pressed point, then keep dragging from there
+      const pct = (e.clientY - trackRect.top) / trackRect.height;
+      scroller.scrollTop = pct * scroller.scrollHeight - scroller.clientHeight / 2;
+    }
+    drag = { startY: e.clientY, startTop: scroller.scrollTop, scroller, ratio: scroller.scrollHeight / trackRect.height };
+    track.setPointerCapture(e.pointerId);
+    thumb.classList.add('cm-dragging');
+    e.preventDefault();
+    updateTrackThumbSoon();
+  });
+  track.addEventListener('pointermove', e => {
+    if (!drag) return;
+    drag.scroller.scrollTop = drag.startTop + (e.clientY - drag.startY) * drag.ratio;
+    updateTrackThumb(thumb, drag.scroller);
+  });
+  const endDrag = () => {
+    if (!drag) return;
+    drag = null;
+    thumb.classList.remove('cm-dragging');
+    updateTrackThumbSoon();
+  };
+  track.addEventListener('pointerup', endDrag);
+  track.addEventListener('pointercancel', endDrag);
+  return thumb;
+}
+
+// ─── Track Preview ────────────────────────────────────────────────────────────
+function trackPopItemHtml(marker) {
+  const snippet = marker.range?.quote || marker.msgRef?.snippet || '';
+  const role = marker.msgRef?.role ? `${marker.msgRef.role}: ` : '';
+  const replies = (marker._guest ? guestLayer?.markers || [] : markers).filter(m => m._rootId === marker.id).length;
+  return `
+    <div class="cm-track-pop-item cm-note-${marker.color || 'yellow'}" data-id="${esc(marker.id)}"${marker._guest ? ' data-guest="1"' : ''}>
+      ${marker._guest ? '<span class="cm-badge-guest">Shared</span>' : ''}
+      <div class="cm-track-pop-note">${esc(marker.note)}</div>
+      ${marker._missing ? '<span class="cm-badge-missing">⚠ Missing</span>' : ''}
+      ${marker._uncertain ? '<span class="cm-badge-uncertain">? Uncertain</span>' : ''}
+      ${replies ? `<div class="cm-track-pop-replies">💬 ${replies} repl${replies === 1 ? 'y' : 'ies'}</div>` : ''}
+      ${snippet ? `<div class="cm-track-pop-snippet">${esc(role + snippet.slice(0, 140))}</div>` : ''}
+    </div>`;
+}
+
+/** Preview next to a pip; for a cluster it lists every marker and each entry jumps to its message */
+function showTrackPop(anchor, popMarkers) {
+  clearTimeout(trackPopTimeout);
+  if (!trackPopEl) {
+    trackPopEl = document.createElement('div');
+    trackPopEl.className = 'cm-track-pop';
+    trackPopEl.addEventListener('mouseenter', () => clearTimeout(trackPopTimeout));
+    trackPopEl.addEventListener('mouseleave', hideTrackPopSoon);
+    trackPopEl.addEventListener('click', e => {
+      const item = e.target.closest('[data-id]');
+      const pool = item && item.dataset.guest ? guestLayer?.markers || [] : markers;
+      const marker = item && pool.find(m => m.id === item.dataset.id);
+      if (!marker) return;
+      hideTrackPop();
+      scrollToMarker(marker);
+    });
+  }
+  if (trackPopEl.parentNode !== sidebarEl) sidebarEl.appendChild(trackPopEl);
+  trackPopEl.classList.toggle('cm-track-pop-list', popMarkers.length > 1);
+  trackPopEl.innerHTML = popMarkers.map(trackPopItemHtml).join('');
+  trackPopEl.style.display = 'block';
+  const sidebarRect = sidebarEl.getBoundingClientRect();
+  const anchorRect = anchor.getBoundingClientRect();
+  const top = anchorRect.top + anchorRect.height / 2 - sidebarRect.top - trackPopEl.offsetHeight / 2;
+  trackPopEl.style.top = Math.max(0, top) + 'px';
+}
+
+function hideTrackPopSoon() {
+  clearTimeout(trackPopTimeout);
+  trackPopTimeout = setTimeout(hideTrackPop, TRACK_POP_HIDE_DELAY);
+}
+
+function hideTrackPop() {
+  clearTimeout(trackPopTimeout);
+  if (trackPopEl) trackPopEl.style.display = 'none';
+}
+
+/** Chips for the tags used in this chat; selected chips filter the list (all must match) */
+function renderTagBar() {
+  const bar = document.getElementById('cm-tag-bar');
+  if (!bar) return;
+  const counts = countTags([{ markers }]);
+  activeTags.forEach(t => { if (!counts.has(t)) activeTags.delete(t); });
+  bar.style.display = counts.size > 0 ? 'flex' : 'none';
+  bar.innerHTML = [...counts].sort((a, b) => a[0].localeCompare(b[0])).map(([tag, n]) => `
+    <button class="cm-tag-filter${activeTags.has(tag) ? ' cm-active' : ''}" data-tag="${esc(tag)}" ${tagStyle(tag, settings.tagColors)}
+      title="${activeTags.has(tag) ? 'Remove filter' : 'Show only notes tagged'} “${esc(tag)}”">${esc(tag)} <span>${n}</span></button>`).join('');
+}
+
+function markerTagsHtml(marker) {
+  return (marker.tags || []).map(t => `<span class="cm-tag" ${tagStyle(t, settings.tagColors)}>${esc(t)}</span>`).join('');
+}
+
 function renderNoteList(filter = '') {
   const list = document.getElementById('cm-note-list');
   if (!list) return;
+  renderTagBar();
+  renderViewBar();
   list.innerHTML = '';
-  const lf = filter.toLowerCase();
-  const filtered = markers.filter(m =>
-    !lf || m.note.toLowerCase().includes(lf) || (m.tag && m.tag.toLowerCase().includes(lf))
-  );
+  const matches = listFilter(filter);
+  const groups = listGroups(sortForList(markers).filter(matches));
+  const ownIds = new Set(markers.map(m => m.id));
+  selectedIds.forEach(id => { if (!ownIds.has(id)) selectedIds.delete(id); });
+  listedIds = [...new Set(groups.flatMap(g => g.items.map(m => m.id)))];
+  renderBulkBar();
 
-  if (filtered.length === 0) {
-    list.innerHTML = `<div class="cm-empty">${filter ? 'No matches.' : 'No markers yet.<br>Hover a message and click ＋'}</div>`;
-    return;
+  if (listedIds.length === 0) {
+    list.innerHTML = `<div class="cm-empty">${filter || activeTags.size || settings.listFilter !== 'all' ? 'No matches.' : 'No markers yet.<br>Hover a message and click ＋'}</div>`;
   }
 
-  filtered.forEach(marker => {
-    const item = document.createElement('div');
-    item.className = `cm-note-item cm-note-${marker.color || 'yellow'}${marker._missing ? ' cm-note-missing' : ''}`;
-    item.innerHTML = `
-      <div class="cm-note-meta">
-        ${marker.tag ? `<span class="cm-tag">${esc(marker.tag)}</span>` : ''}
-        ${marker._missing ? '<span class="cm-badge-missing">⚠ Missing</span>' : ''}
-        <span class="cm-note-date">${new Date(marker.createdAt).toLocaleDateString()}</span>
-      </div>
-      <div class="cm-note-text">${esc(marker.note)}</div>
-      ${marker._missing ? `<div class="cm-relink-hint">Message not found. <button class="cm-relink-btn" data-id="${marker.id}">Re-link</button></div>` : ''}
-      <div class="cm-note-actions">
-        <button class="cm-note-edit" data-id="${marker.id}">✏ Edit</button>
-        <button class="cm-note-delete" data-id="${marker.id}">🗑 Delete</button>
-      </div>
-    `;
-
-    item.querySelector('.cm-note-edit').onclick = () => {
-      const m = markers.find(x => x.id === marker.id);
-      if (m) openModal(m, m.msgRef);
-    };
-    item.querySelector('.cm-note-delete').onclick = () => {
-      if (confirm(`Delete note:\n"${marker.note.slice(0, 60)}"`)) deleteMarker(marker.id);
-    };
-    item.addEventListener('click', e => { if (e.target.tagName === 'BUTTON') return; scrollToMarker(marker); });
+  groups.forEach(({ label, items }) => {
+    if (label) {
+      const header = document.createElement('div');
+      header.className = 'cm-group-header';
+      header.innerHTML = `${label} <span class="cm-group-count">${items.filter(m => !m._rootId).length || items.length}</span>`;
+      list.appendChild(header);
+    }
+    items.forEach(marker => list.appendChild(noteItemEl(marker)));
+  });
+  if (guestLayer) renderGuestNotes(list, sortForList(guestLayer.markers).filter(matches));
+}
 
-    const relinkBtn = item.querySelector('.cm-relink-btn');
-    if (relinkBtn) relinkBtn.onclick = e => { e.stopPropagation(); startRelink(marker.id); };
+function noteItemEl(marker) {
+  const item = document.createElement('div');
+  const status = markerStatus(marker);
+  const reply = !!marker._rootId;
+  item.className = `cm-note-item cm-note-${marker.color || 'yellow'}${reply ? ' cm-note-reply' : ''}${selectedIds.has(marker.id) ? ' cm-note-selected' : ''}${marker._missing ? ' cm-note-missing' : ''}${marker._uncertain ? ' cm-note-uncertain' : ''}${status === 'done' ? ' cm-note-done' : ''}`;
+  item.innerHTML = `
+    <div class="cm-note-meta">
+      ${selectMode ? `<input type="checkbox" class="cm-note-pick" ${selectedIds.has(marker.id) ? 'checked' : ''} title="Select (Shift-click to select a range)">` : ''}
+      ${status !== 'open' ? `<span class="cm-badge-status cm-status-${status}">${status === 'done' ? '✓ ' : ''}${MARKER_STATUSES[status]}</span>` : ''}
+      ${marker.dueAt && status !== 'done' ? `<span class="cm-badge-due${isFollowUpDue(marker) ? ' cm-overdue' : ''}">⏰ ${esc(formatDue(marker))}</span>` : ''}
+      ${markerTagsHtml(marker)}
+      ${marker._missing && !reply ? '<span class="cm-badge-missing">⚠ Missing</span>' : ''}
+      ${marker._uncertain && !reply ? '<span class="cm-badge-uncertain" title="The message could not be matched with confidence">? Uncertain</span>' : ''}
+      <span class="cm-note-date">${new Date(marker.createdAt).toLocaleDateString()}</span>
+    </div>
+    ${marker.range ? `<div class="cm-note-quote">“${esc(marker.range.quote.slice(0, 140))}”</div>` : ''}
+    <div class="cm-note-text cm-md">${renderMarkdown(marker.note, { tasks: true })}</div>
+    ${reply ? '' : marker._missing ? `<div class="cm-relink-hint">Message not loaded or deleted. <button class="cm-find-btn" data-id="${marker.id}">Find</button><button class="cm-relink-btn" data-id="${marker.id}">Re-link</button>${marker.snapshotId ? '<button class="cm-note-snapshot-btn">Saved copy</button>' : ''}</div>` : ''}
+    ${reply ? '' : marker._uncertain ? `<div class="cm-relink-hint">Possible match found. <button class="cm-confirm-btn" data-id="${marker.id}">Confirm</button><button class="cm-relink-btn" data-id="${marker.id}">Re-link</button></div>` : ''}
+    <div class="cm-note-actions">
+      <button class="cm-note-status-btn" data-id="${marker.id}">${status === 'done' ? '↺ Reopen' : '✓ Done'}</button>
+      <button class="cm-note-edit" data-id="${marker.id}">✏ Edit</button>
+      <button class="cm-note-reply-btn" data-id="${marker.id}">↩ Reply</button>
+      ${marker.snapshotId && !reply && !marker._missing ? '<button class="cm-note-snapshot-btn" title="The message as it was when this note was made">📄 Saved copy</button>' : ''}
+      <button class="cm-note-delete" data-id="${marker.id}">🗑 Delete</button>
+    </div>
+  `;
 
-    list.appendChild(item);
+  item.querySelector('.cm-note-edit').onclick = () => {
+    const m = markers.find(x => x.id === marker.id);
+    if (m) openModal(m, m.msgRef);
+  };
+  item.querySelector('.cm-note-reply-btn').onclick = () => {
+    const root = markers.find(x => x.id === (marker._rootId || marker.id));
+    if (root) openModal(null, root.msgRef, root);
+  };
+  item.querySelector('.cm-note-delete').onclick = () => deleteMarker(marker.id);
+  item.querySelector('.cm-note-status-btn').onclick = () => setMarkerStatus(marker.id, status === 'done' ? 'open' : 'done');
+  item.addEventListener('click', e => { if (e.target.closest('button, a, input')) return; scrollToMarker(marker); });
+  item.querySelectorAll('input[data-task]').forEach(box => {
+    box.onchange = () => toggleNoteTask(marker.id, Number(box.dataset.task));
   });
+
+  const pick = item.querySelector('.cm-note-pick');
+  if (pick) pick.onclick = e => setSelected(marker.id, pick.checked, e.shiftKey);
+  const snapshotBtn = item.querySelector('.cm-note-snapshot-btn');
+  if (snapshotBtn) snapshotBtn.onclick = e => { e.stopPropagation(); openSnapshotModal(marker); };
+  const relinkBtn = item.querySelector('.cm-relink-btn');
+  if (relinkBtn) relinkBtn.onclick = e => { e.stopPropagation(); startRelink(marker.id); };
+  const findBtn = item.querySelector('.cm-find-btn');
+  if (findBtn) findBtn.onclick = e => { e.stopPropagation(); findMarkerMessage(marker); };
+  const confirmBtn = item.querySelector('.cm-confirm-btn');
+  if (confirmBtn) confirmBtn.onclick = e => { e.stopPropagation(); confirmCandidate(marker.id); };
+  return item;
 }
 
-// ─── Scroll & Highlight ───────────────────────────────────────────────────────
-function scrollToMarker(marker) {
-  if (!marker._domEl) { showToast('⚠️ Message not found in current view.', 'warn'); return; }
-  marker._domEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
-  highlightElement(marker._domEl);
+async function setMarkerStatus(id, status) {
+  const idx = markers.findIndex(m => m.id === id);
+  if (idx === -1) return;
+  recordHistory(status === 'done' ? 'mark done' : 'reopen');
+  markers[idx] = withStatus(markers[idx], status);
+  await saveMarkers(markers);
+  rebuildUI();
+  showUndoToast(status === 'done' ? '✓ Marked done.' : '↺ Reopened.');
 }
 
-function highlightElement(el) {
-  el.classList.remove('cm-highlight');
-  void el.offsetWidth;
-  el.classList.add('cm-highlight');
-  setTimeout(() => el.classList.remove('cm-highlight'), HIGHLIGHT_DURATION);
+/** Tick a checklist item from the list; saved like any other edit */
+async function toggleNoteTask(id, index) {
+  const idx = markers.findIndex(m => m.id === id);
+  if (idx === -1) return;
+  recordHistory('toggle task');
+  markers[idx] = { ...markers[idx], note: toggleMarkdownTask(markers[idx].note, index), updatedAt: new Date().toISOString() };
+  await saveMarkers(markers);
+  renderNoteList(document.getElementById('cm-search')?.value || '');
 }
 
-// ─── Re-link ──────────────────────────────────────────────────────────────────
-let relinkActiveId = null;
+// ─── List View ────────────────────────────────────────────────────────────────
+// Sort order, grouping and quick filter of the note list. They are settings, so
+// every chat opens with the view last chosen; the track dims what the list hides.
+const LIST_SORTS = {
+  message: { label: 'Message order', compare: (a, b) => messagePosition(a) - messagePosition(b) || (a.range?.start ?? -1) - (b.range?.start ?? -1) },
+  created: { label: 'Newest first', compare: (a, b) => byCreated(b, a) },
+  updated: { label: 'Recently updated', compare: (a, b) => (b.updatedAt || b.createdAt || '').localeCompare(a.updatedAt || a.createdAt || '') },
+  color: { label: 'Color', compare: (a, b) => colorRank(a.color) - colorRank(b.color) }
+};
+const LIST_GROUPS = { none: 'No grouping', color: 'Group by color', tag: 'Group by tag', role: 'Group by role' };
+const LIST_FILTERS = { all: 'All', missing: '⚠ Missing', user: 'User', assistant: 'Assistant' };
+const ROLE_LABELS = { user: 'User', assistant: 'Assistant', unknown: 'Unknown' };
 
-function startRelink(markerId) {
-  relinkActiveId = markerId;
-  showToast('Click a message to re-link this marker.', 'info', 5000);
-  document.body.classList.add('cm-relink-mode');
-  discoverMessages().forEach(({ el, role, hash, snippet, index }) => {
-    el.classList.add('cm-relink-target');
-    el._cmRelinkData = { role, hash, snippet, indexHint: index };
-    el.addEventListener('click', onRelinkClick, { once: true });
-  });
+function byCreated(a, b) {
+  return (a.createdAt || '').localeCompare(b.createdAt || '');
 }
 
-async function onRelinkClick(e) {
-  if (!relinkActiveId) return;
-  const data = e.currentTarget._cmRelinkData;
-  if (!data) return;
-  const idx = markers.findIndex(m => m.id === relinkActiveId);
-  if (idx !== -1) {
-    markers[idx].msgRef = data;
-    markers[idx].updatedAt = new Date().toISOString();
-    await saveMarkers(markers);
-    showToast('✅ Marker re-linked!', 'success');
-  }
-  cancelRelink();
-  rebuildUI();
+/** A marker's place in the conversation: its message's current index, else the one saved */
+function messagePosition(m) {
+  return m._matchedMsg?.index ?? m.msgRef?.indexHint ?? Infinity;
 }
 
-function cancelRelink() {
-  relinkActiveId = null;
-  document.body.classList.remove('cm-relink-mode');
-  document.querySelectorAll('.cm-relink-target').forEach(el => {
-    el.classList.remove('cm-relink-target');
-    el.removeEventListener('click', onRelinkClick);
-  });
+function colorRank(color) {
+  const i = markerColors.findIndex(c => c.value === (color || 'yellow'));
+  return i === -1 ? markerColors.length : i;
 }
 
-// ─── Export / Import ──────────────────────────────────────────────────────────
-function exportNotes() {
-  const data = {
-    chatKey, exportedAt: new Date().toISOString(), schemaVersion: SCHEMA_VERSION,
-    markers: markers.map(({ _domEl, _missing, ...clean }) => clean)
+/** Markers in the chosen order, each top-level note followed by its replies */
+function sortForList(list) {
+  const { compare } = LIST_SORTS[settings.listSort] || LIST_SORTS.message;
+  return threadOrder([...list].sort((a, b) => compare(a, b) || byCreated(a, b)));
+}
+
+/** Which notes the list shows: search text, every active tag chip, and the quick filter */
+function listFilter(query = '') {
+  const q = query.toLowerCase();
+  const quick = settings.listFilter;
+  return m => (!q || m.note.toLowerCase().includes(q)) &&
+    [...activeTags].every(t => (m.tags || []).includes(t)) &&
+    (quick === 'missing' ? !!m._missing
+      : quick === 'user' || quick === 'assistant' ? (m.msgRef?.role || 'unknown') === quick
+      : true);
+}
+
+/**
+ * Split sorted markers into `{ label, items }` sections for the chosen grouping.
+ * Replies go with their thread; with tags, a note is listed under each of its tags.
+ */
+function listGroups(sorted) {
+  const mode = settings.listGroup;
+  if (!LIST_GROUPS[mode] || mode === 'none') return [{ label: '', items: sorted }];
+  const byId = new Map(markers.map(m => [m.id, m]));
+  const keysOf = m => {
+    const root = byId.get(m._rootId) || m;
+    if (mode === 'color') return [root.color || 'yellow'];
+    if (mode === 'role') return [root.msgRef?.role || 'unknown'];
+    return root.tags?.length ? root.tags : [''];
   };
-  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = `chat-markers-${chatKey.replace(/[^a-z0-9]/gi, '_').slice(0, 40)}.json`;
-  a.click();
-  URL.revokeObjectURL(url);
-  showToast('✅ Exported!', 'success');
+  const groups = new Map();
+  sorted.forEach(m => keysOf(m).forEach(key => {
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(m);
+  }));
+  const rank = {
+    color: colorRank,
+    role: key => (key in ROLE_LABELS ? Object.keys(ROLE_LABELS).indexOf(key) : 99),
+    tag: () => 0
+  }[mode];
+  const label = {
+    color: key => `<span class="cm-group-swatch" style="background:${colorInfo(key).hex}"></span>${esc(colorInfo(key).label)}`,
+    role: key => esc(ROLE_LABELS[key] || key),
+    tag: key => (key ? `<span class="cm-tag" ${tagStyle(key, settings.tagColors)}>${esc(key)}</span>` : 'No tag')
+  }[mode];
+  return [...groups]
+    .sort(([a], [b]) => rank(a) - rank(b) || (a === '') - (b === '') || a.localeCompare(b))
+    .map(([key, items]) => ({ label: label(key), items }));
+}
+
+function renderViewBar() {
+  const bar = document.getElementById('cm-view-bar');
+  if (!bar) return;
+  const options = (choices, current) => Object.entries(choices)
+    .map(([value, c]) => `<option value="${value}" ${value === current ? 'selected' : ''}>${esc(c.label || c)}</option>`).join('');
+  const missing = markers.filter(m => m._missing && !m._rootId).length;
+  bar.innerHTML = `
+    <select class="cm-view-sort" title="Sort notes">${options(LIST_SORTS, settings.listSort)}</select>
+    <select class="cm-view-group" title="Group notes">${options(LIST_GROUPS, settings.listGroup)}</select>
+    <div class="cm-quick-filters">
+      ${Object.entries(LIST_FILTERS).map(([value, label]) => `
+        <button class="cm-tag-filter${settings.listFilter === value ? ' cm-active' : ''}" data-filter="${value}">${label}${value === 'missing' && missing ? ` <span>${missing}</span>` : ''}</button>`).join('')}
+    </div>
+  `;
+}
+
+/** Redraw the list and the track after the search, tag chips or view change */
+function refreshListView() {
+  renderNoteList(document.getElementById('cm-search')?.value || '');
+  renderTrack();
+}
+
+/** Switch sort / group / quick filter and remember it for every chat */
+async function setListView(patch) {
+  settings = { ...settings, ...patch };
+  refreshListView();
+  // The whole view, so quick successive changes cannot undo each other
+  await saveSettings({ listSort: settings.listSort, listGroup: settings.listGroup, listFilter: settings.listFilter });
+}
+
+// ─── Bulk Actions ─────────────────────────────────────────────────────────────
+function toggleSelectMode() {
+  selectMode = !selectMode;
+  selectedIds = new Set();
+  selectAnchorId = null;
+  sidebarEl.querySelector('.cm-select-btn').classList.toggle('cm-active', selectMode);
+  renderNoteList(document.getElementById('cm-search')?.value || '');
+}
+
+/** Tick or untick a note; with Shift, every listed note between it and the last one ticked */
+function setSelected(id, checked, range) {
+  const from = listedIds.indexOf(selectAnchorId);
+  const to = listedIds.indexOf(id);
+  const ids = range && from !== -1 && to !== -1 ? listedIds.slice(Math.min(from, to), Math.max(from, to) + 1) : [id];
+  ids.forEach(x => { if (checked) selectedIds.add(x); else selectedIds.delete(x); });
+  selectAnchorId = id;
+  renderNoteList(document.getElementById('cm-search')?.value || '');
+}
+
+/** Select every note the list shows (search and tag filters apply), or clear them if all are */
+function toggleSelectAll() {
+  const all = listedIds.length > 0 && listedIds.every(id => selectedIds.has(id));
+  listedIds.forEach(id => { if (all) selectedIds.delete(id); else selectedIds.add(id); });
+  renderNoteList(document.getElementById('cm-search')?.value || '');
+}
+
+/** The selected notes plus the replies of selected top-level notes, which go where their thread goes */
+function selectedWithReplies() {
+  return markers.filter(m => selectedIds.has(m.id) || selectedIds.has(m._rootId));
+}
+
+function renderBulkBar() {
+  const bar = document.getElementById('cm-bulk-bar');
+  if (!bar) return;
+  bar.style.display = selectMode ? 'flex' : 'none';
+  if (!selectMode) return;
+  const n = selectedIds.size;
+  const none = n ? '' : 'disabled';
+  const all = listedIds.length > 0 && listedIds.every(id => selectedIds.has(id));
+  bar.innerHTML = `
+    <label class="cm-bulk-all" title="Select every note in the list"><input type="checkbox" ${all ? 'checked' : ''}> ${n} selected</label>
+    <select class="cm-bulk-color" title="Recolor the selected notes" ${none}>
+      <option value="">Color…</option>
+      ${markerColors.map(c => `<option value="${c.value}">${esc(c.label)}</option>`).join('')}
+    </select>
+    <select class="cm-bulk-export" title="Export the selected notes" ${none}>
+      <option value="">Export…</option>
+      <option value="json">JSON</option>
+      <option value="markdown">Markdown</option>
+      <option value="html">HTML</option>
+    </select>
+    <button class="cm-btn cm-btn-secondary cm-bulk-tags" ${none}>Tags…</button>
+    <button class="cm-btn cm-btn-secondary cm-bulk-move" ${none}>Move / Copy…</button>
+    <button class="cm-btn cm-btn-danger cm-bulk-delete" ${none}>🗑</button>
+  `;
+  bar.querySelector('.cm-bulk-all input').onchange = toggleSelectAll;
+  bar.querySelector('.cm-bulk-color').onchange = e => { if (e.target.value) recolorSelected(e.target.value); };
+  bar.querySelector('.cm-bulk-export').onchange = e => {
+    if (e.target.value) exportNotes(e.target.value, selectedWithReplies());
+    e.target.value = '';
+  };
+  bar.querySelector('.cm-bulk-tags').onclick = openBulkTagsModal;
+  bar.querySelector('.cm-bulk-move').onclick = openTransferModal;
+  bar.querySelector('.cm-bulk-delete').onclick = () => deleteMarkers([...selectedIds]);
+}
+
+/** Apply `update` to every selected note as one undoable change */
+async function updateSelected(label, update, message) {
+  const now = new Date().toISOString();
+  recordHistory(label);
+  markers = markers.map(m => selectedIds.has(m.id) ? { ...update(m), updatedAt: now } : m);
+  await saveMarkers(markers);
+  rebuildUI();
+  showUndoToast(message);
+}
+
+function recolorSelected(color) {
+  return updateSelected('recolor notes', m => ({ ...m, color }), `🎨 ${selectedIds.size} note(s) recolored.`);
+}
+
+function openBulkTagsModal() {
+  const inUse = [...countTags([{ markers: markers.filter(m => selectedIds.has(m.id)) }]).keys()].sort();
+  closeModal();
+  modalEl = document.createElement('div');
+  modalEl.className = 'cm-modal-overlay';
+  modalEl.innerHTML = `
+    <div class="cm-modal" role="dialog" aria-modal="true">
+      <div class="cm-modal-header">
+        <span>🏷 Tags of ${selectedIds.size} Note(s)</span>
+        <button class="cm-modal-close" title="Close">✕</button>
+      </div>
+      <div class="cm-modal-body">
+        <label for="cm-bulk-add">Add tags</label>
+        <input id="cm-bulk-add" type="text" placeholder="e.g. important, question" autocomplete="off">
+        <label for="cm-bulk-remove">Remove tags</label>
+        <input id="cm-bulk-remove" type="text" placeholder="${inUse.length ? esc(inUse.join(', ')) : 'The selected notes have no tags'}" autocomplete="off">
+      </div>
+      <div class="cm-modal-footer">
+        <button class="cm-btn cm-btn-secondary cm-modal-cancel">Cancel</button>
+        <button class="cm-btn cm-btn-primary cm-modal-save">Apply</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modalEl);
+  setTimeout(() => modalEl?.querySelector('#cm-bulk-add')?.focus(), 50);
+
+  modalEl.querySelector('.cm-modal-close').onclick = closeModal;
+  modalEl.querySelector('.cm-modal-cancel').onclick = closeModal;
+  modalEl.addEventListener('click', e => { if (e.target === modalEl) closeModal(); });
+  modalEl.addEventListener('keydown', e => {
+    if (e.key === 'Escape') closeModal();
+    if (e.key === 'Enter') modalEl.querySelector('.cm-modal-save').click();
+  });
+  modalEl.querySelector('.cm-modal-save').onclick = () => {
+    const add = parseTags(modalEl.querySelector('#cm-bulk-add').value);
+    const remove = new Set(parseTags(modalEl.querySelector('#cm-bulk-remove').value));
+    closeModal();
+    if (add.length === 0 && remove.size === 0) return;
+    updateSelected('retag notes', m => ({ ...m, tags: [...new Set([...(m.tags || []).filter(t => !remove.has(t)), ...add])] }),
+      `🏷 Tags updated on ${selectedIds.size} note(s).`);
+  };
+}
+
+/** Pick another conversation, stored or pasted as a link, to move or copy the selected notes to */
+async function openTransferModal() {
+  const all = await chrome.storage.local.get(null);
+  const targets = Object.keys(all)
+    .filter(key => key.startsWith(MARKER_KEY_PREFIX) && key !== chatKey)
+    .map(key => ({ key, ...normalizeEntry(all[key], key) }))
+    .sort((a, b) => (b.meta.lastVisited || '').localeCompare(a.meta.lastVisited || ''));
+  const picked = selectedWithReplies();
+  const replies = picked.length - selectedIds.size;
+  closeModal();
+  modalEl = document.createElement('div');
+  modalEl.className = 'cm-modal-overlay';
+  modalEl.innerHTML = `
+    <div class="cm-modal" role="dialog" aria-modal="true">
+      <div class="cm-modal-header">
+        <span>⇄ Move or Copy Notes</span>
+        <button class="cm-modal-close" title="Close">✕</button>
+      </div>
+      <div class="cm-modal-body">
+        <div class="cm-import-note">${selectedIds.size} note(s)${replies > 0 ? ` and ${replies} repl${replies === 1 ? 'y' : 'ies'}` : ''} selected. In the other conversation they may need re-linking to its messages.</div>
+        <label for="cm-transfer-target">Conversation</label>
+        <select id="cm-transfer-target">
+          ${targets.map(t => `<option value="${esc(t.key)}">${esc(conversationLabel(t.meta, t.key))} (${t.markers.length})</option>`).join('')}
+          <option value="">Another conversation (paste its link)…</option>
+        </select>
+        <input id="cm-transfer-url" type="text" placeholder="https://chatgpt.com/c/…" ${targets.length ? 'hidden' : ''}>
+      </div>
+      <div class="cm-modal-footer">
+        <button class="cm-btn cm-btn-secondary cm-modal-cancel">Cancel</button>
+        <button class="cm-btn cm-btn-secondary cm-transfer-copy">⧉ Copy</button>
+        <button class="cm-btn cm-btn-primary cm-transfer-move">Move</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modalEl);
+
+  const targetSel = modalEl.querySelector('#cm-transfer-target');
+  const urlInput = modalEl.querySelector('#cm-transfer-url');
+  targetSel.onchange = () => { urlInput.hidden = !!targetSel.value; if (!urlInput.hidden) urlInput.focus(); };
+  urlInput.oninput = () => urlInput.classList.remove('cm-error');
+
+  const resolveTarget = () => {
+    if (targetSel.value) {
+      const t = targets.find(x => x.key === targetSel.value);
+      return { key: t.key, label: conversationLabel(t.meta, t.key) };
+    }
+    const parsed = chatKeyForUrl(urlInput.value);
+    if (!parsed || parsed.key === chatKey) {
+      urlInput.classList.add('cm-error');
+      showToast(parsed ? '⚠️ That link is this conversation.' : '⚠️ Paste the link of a ChatGPT, Claude or Gemini conversation.', 'warn');
+      return null;
+    }
+    const existing = targets.find(x => x.key === parsed.key);
+    return { key: parsed.key, meta: { url: parsed.url }, label: existing ? conversationLabel(existing.meta, existing.key) : parsed.url };
+  };
+  const run = move => {
+    const target = resolveTarget();
+    if (!target) return;
+    closeModal();
+    transferSelected(target, move);
+  };
+
+  modalEl.querySelector('.cm-modal-close').onclick = closeModal;
+  modalEl.querySelector('.cm-modal-cancel').onclick = closeModal;
+  modalEl.addEventListener('click', e => { if (e.target === modalEl) closeModal(); });
+  modalEl.addEventListener('keydown', e => { if (e.key === 'Escape') closeModal(); });
+  modalEl.querySelector('.cm-transfer-copy').onclick = () => run(false);
+  modalEl.querySelector('.cm-transfer-move').onclick = () => run(true);
+}
+
+/**
+ * Move or copy the selected notes (with their replies) into `target.key`. Copies get
+ * new ids; the Undo of a move also takes the notes back out of the other conversation.
+ */
+async function transferSelected(target, move) {
+  const picked = selectedWithReplies();
+  if (picked.length === 0) return;
+  const added = await addStoredMarkers(target.key, picked.map(cleanMarker), { meta: target.meta, freshIds: !move });
+  selectedIds = new Set();
+  if (!move) {
+    rebuildUI();
+    showToast(`⧉ Copied ${added.length} note(s) to “${target.label}”.`, 'success');
+    return;
+  }
+  recordHistory('move notes', { key: target.key, sourceIds: picked.map(m => m.id), markers: added });
+  markers = markers.filter(m => !picked.includes(m));
+  await saveMarkers(markers);
+  rebuildUI();
+  showUndoToast(`⇄ Moved ${added.length} note(s) to “${target.label}”.`);
+}
+
+// ─── Scroll Container ─────────────────────────────────────────────────────────
+function isPageScroller(el) {
+  return el === document.scrollingElement || el === document.documentElement || el === document.body;
+}
+
+/** The conversation's scrolling element, detected once and re-detected when the page replaces it */
+function conversationScroller() {
+  if (scrollerEl && scrollerEl.isConnected && (isPageScroller(scrollerEl) || scrollerEl.scrollHeight > scrollerEl.clientHeight)) return scrollerEl;
+  return siteAdapter.getScrollContainer();
+}
+
+/**
+ * Follow the element that really scrolls the conversation (ChatGPT and Claude scroll
+ * an inner container, so window scroll events never fire there). Called on every rebuild.
+ */
+function watchScrollContainer() {
+  const scroller = siteAdapter.getScrollContainer();
+  const target = isPageScroller(scroller) ? window : scroller;
+  if (scroller === scrollerEl && target === scrollTarget) return;
+  if (scrollTarget) scrollTarget.removeEventListener('scroll', onConversationScroll);
+  scrollerEl = scroller;
+  scrollTarget = target;
+  target.addEventListener('scroll', onConversationScroll, { passive: true });
+  resizeObserver.disconnect();
+  resizeObserver.observe(document.documentElement);
+  if (target !== window) {
+    resizeObserver.observe(scroller);
+    // The content wrapper grows while answers stream in; the scroller's own box does not
+    if (scroller.firstElementChild) resizeObserver.observe(scroller.firstElementChild);
+  }
+  updateTrackPositions();
+}
+
+function onConversationScroll() {
+  updateTrackThumbSoon();
+  hideSelectionButton();
+}
+
+// ─── Scroll & Highlight ───────────────────────────────────────────────────────
+function scrollToMarker(marker) {
+  if (!marker._domEl && marker._candidate) {
+    marker._candidate.el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    highlightElement(marker._candidate.el);
+    showToast('❔ Uncertain match – confirm or re-link it in the list.', 'warn');
+    return;
+  }
+  if (!marker._domEl) { findMarkerMessage(marker); return; }
+  if (marker._range) {
+    const startEl = marker._range.startContainer.parentElement || marker._domEl;
+    startEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    flashRange(marker._range);
+    return;
+  }
+  marker._domEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  highlightElement(marker._domEl);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Scroll through the conversation until a marker's message is rendered, for chats
+ * that load or render messages lazily. Heads towards the saved message index first,
+ * then the other way; the original position is restored if it never turns up.
+ */
+async function findMarkerMessage(marker) {
+  if (!marker.msgRef) { showToast('⚠️ Message not found in this conversation.', 'warn'); return; }
+  if (findRun) findRun.cancelled = true;
+  const run = findRun = { cancelled: false, markerId: marker.id, key: chatKey };
+  const scroller = conversationScroller();
+  const startTop = scroller.scrollTop;
+  const inView = messageInView();
+  const hint = marker.msgRef.indexHint;
+  let dir = hint !== undefined && inView && hint < inView.index ? -1 : 1;
+  let reversed = false;
+  showToast('🔎 Looking for the message…', 'info', FIND_MAX_STEPS * FIND_STEP_DELAY, {
+    label: 'Stop', onClick: () => { run.cancelled = true; }
+  });
+
+  for (let step = 0; step < FIND_MAX_STEPS; step++) {
+    const before = { top: scroller.scrollTop, height: scroller.scrollHeight };
+    scroller.scrollTop += dir * scroller.clientHeight * 0.8;
+    await sleep(FIND_STEP_DELAY);
+    if (run.cancelled || chatKey !== run.key) return;
+
+    const { confidence } = matchMessage(marker.msgRef, settledMessages());
+    if (confidence === 'exact' || confidence === 'high') {
+      findRun = null;
+      rebuildUI();
+      const found = markers.find(m => m.id === marker.id);
+      if (found && found._domEl) {
+        showToast('✅ Found.', 'success', 1200);
+        scrollToMarker(found);
+        return;
+      }
+    }
+    // Hit the end in this direction and nothing more was loaded
+    const stuck = scroller.scrollTop === before.top && scroller.scrollHeight === before.height;
+    if (stuck) {
+      if (reversed) break;
+      reversed = true;
+      dir = -dir;
+    }
+  }
+  if (findRun === run) findRun = null;
+  scroller.scrollTop = startTop;
+  showToast('⚠️ Message not found in this conversation. Re-link it from the list.', 'warn', 4000);
+}
+
+let flashTimeout;
+function flashRange(range) {
+  if (typeof CSS === 'undefined' || !CSS.highlights) {
+    highlightElement(range.startContainer.parentElement);
+    return;
+  }
+  const flash = new Highlight(range);
+  flash.priority = 1;
+  CSS.highlights.set('cm-range-flash', flash);
+  clearTimeout(flashTimeout);
+  flashTimeout = setTimeout(() => CSS.highlights.delete('cm-range-flash'), settings.highlightDuration);
+}
+
+function highlightElement(el) {
+  el.classList.remove('cm-highlight');
+  void el.offsetWidth;
+  el.classList.add('cm-highlight');
+  setTimeout(() => el.classList.remove('cm-highlight'), settings.highlightDuration);
+}
+
+// ─── Keyboard Commands ────────────────────────────────────────────────────────
+// Shortcuts (manifest.json `commands`), context menu entries and the toolbar
+// popup's buttons are all forwarded here by background.js or the popup.
+const COMMANDS = {
+  'add-note': addNoteInView,
+  'next-marker': () => jumpToMarker(1),
+  'prev-marker': () => jumpToMarker(-1),
+  'toggle-panel': togglePanel,
+  'command-palette': openPalette,
+  'mark-message': markContextMessage,
+  'note-selection': addNoteToSelection
+};
+
+function onRuntimeMessage(msg) {
+  if (msg && msg.type === 'cm-command' && COMMANDS[msg.command]) COMMANDS[msg.command]();
+  if (msg && msg.type === 'cm-focus-marker') {
+    const marker = markers.find(m => m.id === msg.markerId);
+    if (marker) scrollToMarker(marker);
+  }
+}
+
+/** Context menu: the element last right-clicked, so the entry knows which message it was on */
+function onContextMenu(e) {
+  contextMenuTarget = e.target;
+}
+
+/** "Mark this message": add a note to the right-clicked message, or the one in view */
+function markContextMessage() {
+  const msg = settledMessages().find(m => m.el.contains(contextMenuTarget)) || messageInView();
+  if (!msg) { showToast('No message to mark here.', 'warn'); return; }
+  openModal(null, msgRefFrom(msg));
+}
+
+/** "Add note to selection" */
+function addNoteToSelection() {
+  const target = selectionTarget();
+  if (!target) { showToast('Select text inside one message to add a note to it.', 'warn'); return; }
+  hideSelectionButton();
+  openModal(null, target.msgRefData);
+}
+
+function viewportCenterY() {
+  return window.innerHeight / 2;
+}
+
+/** The message whose box is closest to the middle of the viewport */
+function messageInView() {
+  const center = viewportCenterY();
+  let best = null, bestDist = Infinity;
+  settledMessages().forEach(msg => {
+    const rect = msg.el.getBoundingClientRect();
+    const dist = rect.top <= center && rect.bottom >= center ? 0 : Math.min(Math.abs(rect.top - center), Math.abs(rect.bottom - center));
+    if (dist < bestDist) { bestDist = dist; best = msg; }
+  });
+  return best;
+}
+
+/** Add a note to the selected text if there is a selection, otherwise to the message in view */
+function addNoteInView() {
+  const pending = selectionBtnEl?._cmMsgRefData;
+  if (pending) { openModal(null, pending); return; }
+  const msg = messageInView();
+  if (!msg) { showToast('No message in view.', 'warn'); return; }
+  openModal(null, msgRefFrom(msg));
+}
+
+/** Linked markers sorted by their position in the document */
+function markersInDocumentOrder() {
+  return markers
+    .filter(m => m._domEl && !m._rootId)
+    .map(m => ({ marker: m, top: (m._range || m._domEl).getBoundingClientRect().top }))
+    .sort((a, b) => a.top - b.top);
+}
+
+/** Jump to the next (dir = 1) or previous (dir = -1) marker relative to the viewport center */
+function jumpToMarker(dir) {
+  const ordered = markersInDocumentOrder();
+  if (ordered.length === 0) { showToast('No markers in this chat yet.', 'info'); return; }
+  const center = viewportCenterY();
+  const target = dir > 0
+    ? ordered.find(o => o.top > center + 4) || ordered[0]
+    : [...ordered].reverse().find(o => o.top < center - 4) || ordered[ordered.length - 1];
+  scrollToMarker(target.marker);
+}
+
+// ─── Command Palette ──────────────────────────────────────────────────────────
+/**
+ * Subsequence fuzzy match: every query character must appear in order.
+ * Consecutive runs and word starts score higher; returns -1 when there is no match.
+ */
+function fuzzyScore(query, text) {
+  if (!query) return 0;
+  const q = query.toLowerCase(), t = text.toLowerCase();
+  let score = 0, ti = 0, run = 0;
+  for (const ch of q) {
+    const found = t.indexOf(ch, ti);
+    if (found === -1) return -1;
+    run = found === ti ? run + 1 : 0;
+    score += 1 + run * 2 + (found === 0 || /\W/.test(t[found - 1]) ? 3 : 0);
+    ti = found + 1;
+  }
+  return score - t.length / 1000;
+}
+
+function paletteResults(query) {
+  return markers
+    .map(m => {
+      const fields = [m.note, ...(m.tags || []), m.range?.quote, m.msgRef?.snippet].filter(Boolean);
+      const score = Math.max(...fields.map(f => fuzzyScore(query.trim(), f)));
+      return { marker: m, score };
+    })
+    .filter(r => r.score >= 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 50);
+}
+
+function openPalette() {
+  if (paletteEl) { paletteEl.querySelector('.cm-palette-input').focus(); return; }
+  closeModal();
+  paletteEl = document.createElement('div');
+  paletteEl.className = 'cm-modal-overlay cm-palette-overlay';
+  paletteEl.innerHTML = `
+    <div class="cm-palette" role="dialog" aria-modal="true" aria-label="Search markers">
+      <input class="cm-palette-input" type="text" placeholder="Jump to a marker…" aria-label="Search markers">
+      <div class="cm-palette-list" role="listbox"></div>
+      <div class="cm-palette-hint">↑↓ to move · Enter to jump · Esc to close</div>
+    </div>
+  `;
+  document.body.appendChild(paletteEl);
+
+  const input = paletteEl.querySelector('.cm-palette-input');
+  const list = paletteEl.querySelector('.cm-palette-list');
+  let results = [], active = 0;
+
+  const choose = i => {
+    const r = results[i];
+    closePalette();
+    if (r) scrollToMarker(r.marker);
+  };
+  const render = () => {
+    results = paletteResults(input.value);
+    active = Math.min(active, Math.max(0, results.length - 1));
+    if (results.length === 0) {
+      list.innerHTML = `<div class="cm-empty">${markers.length ? 'No matching markers.' : 'No markers in this chat yet.'}</div>`;
+      return;
+    }
+    list.innerHTML = results.map(({ marker }, i) => `
+      <div class="cm-palette-item cm-note-${marker.color || 'yellow'}${i === active ? ' cm-palette-active' : ''}" role="option" data-i="${i}">
+        <div class="cm-palette-note">${esc(marker.note)}</div>
+        <div class="cm-palette-meta">
+          ${markerTagsHtml(marker)}
+          ${marker._domEl ? '' : '<span class="cm-badge-missing">not in view</span>'}
+          <span>${esc((marker.range?.quote || marker.msgRef?.snippet || '').slice(0, 80))}</span>
+        </div>
+      </div>`).join('');
+    list.querySelector('.cm-palette-active')?.scrollIntoView({ block: 'nearest' });
+  };
+
+  input.addEventListener('input', () => { active = 0; render(); });
+  input.addEventListener('keydown', e => {
+    if (e.key === 'ArrowDown') { e.preventDefault(); active = Math.min(active + 1, results.length - 1); render(); }
+    else if (e.key === 'ArrowUp') { e.preventDefault(); active = Math.max(active - 1, 0); render(); }
+    else if (e.key === 'Enter') { e.preventDefault(); choose(active); }
+    else if (e.key === 'Escape') { e.preventDefault(); closePalette(); }
+    e.stopPropagation();
+  });
+  list.addEventListener('click', e => {
+    const item = e.target.closest('.cm-palette-item');
+    if (item) choose(Number(item.dataset.i));
+  });
+  paletteEl.addEventListener('click', e => { if (e.target === paletteEl) closePalette(); });
+
+  render();
+  setTimeout(() => input.focus(), 0);
+}
+
+function closePalette() {
+  if (paletteEl) { paletteEl.remove(); paletteEl = null; }
+}
+
+// ─── Re-link ──────────────────────────────────────────────────────────────────
+let relinkActiveId = null;
+
+function startRelink(markerId) {
+  relinkActiveId = markerId;
+  showToast('Click a message to re-link this marker.', 'info', 5000);
+  document.body.classList.add('cm-relink-mode');
+  settledMessages().forEach(msg => {
+    const { el } = msg;
+    el.classList.add('cm-relink-target');
+    el._cmRelinkData = msgRefFrom(msg);
+    el.addEventListener('click', onRelinkClick, { once: true });
+  });
+}
+
+async function onRelinkClick(e) {
+  if (!relinkActiveId) return;
+  const data = e.currentTarget._cmRelinkData;
+  if (!data) return;
+  if (markers.some(m => m.id === relinkActiveId)) {
+    recordHistory('re-link note');
+    moveThread(relinkActiveId, data);
+    await saveMarkers(markers);
+    showToast('✅ Marker re-linked!', 'success');
+  }
+  cancelRelink();
+  rebuildUI();
+}
+
+/** Accept the suggested message for an uncertain marker */
+async function confirmCandidate(markerId) {
+  const marker = markers.find(m => m.id === markerId);
+  if (!marker || !marker._candidate) return;
+  recordHistory('confirm link');
+  moveThread(markerId, msgRefFrom(marker._candidate));
+  await saveMarkers(markers);
+  showToast('✅ Marker linked!', 'success');
+  rebuildUI();
+}
+
+/** Point a note and its replies at another message */
+function moveThread(id, msgRef) {
+  const now = new Date().toISOString();
+  markers.forEach(m => {
+    if (m.id !== id && m._rootId !== id) return;
+    m.msgRef = { ...msgRef };
+    m.updatedAt = now;
+  });
+}
+
+function cancelRelink() {
+  relinkActiveId = null;
+  document.body.classList.remove('cm-relink-mode');
+  document.querySelectorAll('.cm-relink-target').forEach(el => {
+    el.classList.remove('cm-relink-target');
+    el.removeEventListener('click', onRelinkClick);
+  });
+}
+
+// ─── Export / Import ──────────────────────────────────────────────────────────
+/** Export this chat's notes, or just `list` (e.g. the selected ones) */
+function exportNotes(format = 'json', list = markers) {
+  updateChatMeta(false);
+  const baseName = `chat-markers-${fileSlug(conversationLabel(chatMeta, chatKey))}${list === markers ? '' : '-selection'}`;
+  const clean = list.map(cleanMarker);
+  if (format === 'json') {
+    const data = {
+      chatKey, exportedAt: new Date().toISOString(), schemaVersion: SCHEMA_VERSION, meta: chatMeta,
+      markers: clean
+    };
+    downloadFile(JSON.stringify(data, null, 2), `${baseName}.json`, 'application/json');
+  } else {
+    exportConversations([{ key: chatKey, meta: chatMeta, markers: clean }], format, baseName);
+  }
+  showToast('✅ Exported!', 'success');
 }
 
 async function importNotes(e) {
   const file = e.target.files[0];
+  e.target.value = '';
   if (!file) return;
   try {
-    const data = JSON.parse(await file.text());
-    if (!data.markers || !Array.isArray(data.markers)) throw new Error('Invalid format');
-    const valid = data.markers.filter(m => m.id && m.msgRef && m.note !== undefined);
-    if (!valid.length) throw new Error('No valid markers found');
-    const existingIds = new Set(markers.map(m => m.id));
-    const toAdd = valid.filter(m => !existingIds.has(m.id));
-    markers = [...markers, ...toAdd];
-    await saveMarkers(markers);
-    rebuildUI();
-    showToast(`✅ Imported ${toAdd.length} marker(s).`, 'success');
+    openImportPreview(parseImport(JSON.parse(await file.text())));
   } catch (err) {
     showToast('❌ Import failed: ' + err.message, 'error');
   }
-  e.target.value = '';
+}
+
+/** Show what an import would change in this chat and let the user pick a strategy */
+function openImportPreview(groups) {
+  closeModal();
+  const defaultSource = Math.max(0, groups.findIndex(g => g.key === chatKey));
+  modalEl = document.createElement('div');
+  modalEl.className = 'cm-modal-overlay';
+  modalEl.innerHTML = `
+    <div class="cm-modal cm-import-modal" role="dialog" aria-modal="true">
+      <div class="cm-modal-header">
+        <span>⬇ Import Notes</span>
+        <button class="cm-modal-close" title="Close">✕</button>
+      </div>
+      <div class="cm-modal-body">
+        ${groups.length > 1 ? `
+          <label for="cm-import-source">Conversation in file</label>
+          <select id="cm-import-source">
+            ${groups.map((g, i) => `<option value="${i}" ${i === defaultSource ? 'selected' : ''}>${esc(conversationLabel(g.meta, g.key || 'Untitled'))} (${g.markers.length})</option>`).join('')}
+          </select>` : ''}
+        <label for="cm-import-strategy">When a note already exists</label>
+        <select id="cm-import-strategy">
+          ${Object.entries(IMPORT_STRATEGIES).map(([value, label]) => `<option value="${value}">${esc(label)}</option>`).join('')}
+        </select>
+        <div class="cm-import-summary"></div>
+        <div class="cm-import-list"></div>
+      </div>
+      <div class="cm-modal-footer">
+        <button class="cm-btn cm-btn-secondary cm-modal-cancel">Cancel</button>
+        <button class="cm-btn cm-btn-primary cm-modal-save">Import</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modalEl);
+
+  const sourceSel = modalEl.querySelector('#cm-import-source');
+  const strategySel = modalEl.querySelector('#cm-import-strategy');
+  const saveBtn = modalEl.querySelector('.cm-modal-save');
+  let plan = [];
+
+  const render = () => {
+    const group = groups[sourceSel ? Number(sourceSel.value) : 0];
+    plan = planImport(group.markers, markers.map(cleanMarker));
+    const counts = summarizeImport(plan);
+    const foreign = group.key && group.key !== chatKey
+      ? '<div class="cm-import-note">Exported from another conversation: notes attach here and may need re-linking.</div>'
+      : '';
+    modalEl.querySelector('.cm-import-summary').innerHTML = foreign + Object.entries(counts)
+      .filter(([, n]) => n > 0)
+      .map(([status, n]) => `<span class="cm-import-badge cm-import-${status}">${n} ${IMPORT_STATUS_LABELS[status].toLowerCase()}</span>`)
+      .join(' ');
+    modalEl.querySelector('.cm-import-list').innerHTML = plan.filter(item => item.status !== 'unchanged').map(item => `
+      <div class="cm-import-item">
+        <span class="cm-import-badge cm-import-${item.status}">${IMPORT_STATUS_LABELS[item.status]}</span>
+        <span class="cm-import-text">${item.status === 'invalid'
+          ? `Record ${item.index + 1}: ${esc(item.errors.join(', '))}`
+          : esc((item.marker.note || '').slice(0, 80))}</span>
+      </div>`).join('') || '<div class="cm-empty">Nothing new to import.</div>';
+    saveBtn.disabled = counts.new + counts.updated + counts.conflict === 0;
+  };
+  render();
+  if (sourceSel) sourceSel.onchange = render;
+
+  modalEl.querySelector('.cm-modal-close').onclick = closeModal;
+  modalEl.querySelector('.cm-modal-cancel').onclick = closeModal;
+  modalEl.addEventListener('click', e => { if (e.target === modalEl) closeModal(); });
+  modalEl.addEventListener('keydown', e => { if (e.key === 'Escape') closeModal(); });
+
+  saveBtn.onclick = async () => {
+    const result = applyImport(markers, plan, strategySel.value);
+    closeModal();
+    recordHistory('import');
+    markers = result.markers;
+    await saveMarkers(markers);
+    rebuildUI();
+    showUndoToast(`✅ Imported ${result.added} new, ${result.replaced} updated marker(s).`);
+  };
+}
+
+// ─── Shared Notes ─────────────────────────────────────────────────────────────
+/** Show the share bundle stored for this chat (if any) as the guest layer */
+async function loadGuestLayer() {
+  guestSelected = new Set();
+  const code = sessionStorage.getItem(`${SHARE_PARAM}::${chatKey}`);
+  if (!code) { guestLayer = null; return; }
+  try {
+    setGuestLayer(await decodeShareBundle(code));
+  } catch (e) {
+    guestLayer = null;
+    sessionStorage.removeItem(`${SHARE_PARAM}::${chatKey}`);
+    showToast(`⚠️ ${e.message}`, 'warn', 4000);
+  }
+}
+
+function setGuestLayer(bundle) {
+  guestLayer = { ...bundle, markers: bundle.markers.map(m => ({ ...m, _guest: true })) };
+  guestSelected = new Set();
+}
+
+function closeGuestLayer() {
+  sessionStorage.removeItem(`${SHARE_PARAM}::${chatKey}`);
+  guestLayer = null;
+  guestSelected = new Set();
+  rebuildUI();
+}
+
+/** Read-only list of shared notes below the chat's own; ticked ones can be copied */
+function renderGuestNotes(list, shown) {
+  const own = new Set(markers.map(m => m.id));
+  const section = document.createElement('div');
+  section.className = 'cm-guest-section';
+  section.innerHTML = `
+    <div class="cm-guest-header">
+      <span class="cm-guest-title" title="${esc(guestLayer.title || '')}">👥 Shared notes (${guestLayer.markers.length})${guestLayer.sharedAt ? ` · ${esc(new Date(guestLayer.sharedAt).toLocaleDateString())}` : ''}</span>
+      <button class="cm-icon-btn cm-guest-close" title="Hide shared notes">✕</button>
+    </div>
+    <div class="cm-guest-actions">
+      <button class="cm-btn cm-btn-secondary cm-guest-copy" ${guestSelected.size ? '' : 'disabled'}>Copy selected (${guestSelected.size})</button>
+      <button class="cm-btn cm-btn-secondary cm-guest-copy-all">Copy all</button>
+    </div>
+  `;
+  shown.forEach(marker => {
+    const item = document.createElement('div');
+    item.className = `cm-note-item cm-note-guest cm-note-${marker.color || 'yellow'}${marker._rootId ? ' cm-note-reply' : ''}${marker._missing ? ' cm-note-missing' : ''}`;
+    item.innerHTML = `
+      <div class="cm-note-meta">
+        ${own.has(marker.id)
+          ? '<span class="cm-badge-guest">✓ In your notes</span>'
+          : `<label class="cm-guest-pick"><input type="checkbox" ${guestSelected.has(marker.id) ? 'checked' : ''}> Shared</label>`}
+        ${markerTagsHtml(marker)}
+        ${marker._missing ? '<span class="cm-badge-missing">⚠ Missing</span>' : ''}
+        <span class="cm-note-date">${new Date(marker.createdAt).toLocaleDateString()}</span>
+      </div>
+      ${marker.range ? `<div class="cm-note-quote">“${esc(marker.range.quote.slice(0, 140))}”</div>` : ''}
+      <div class="cm-note-text cm-md">${renderMarkdown(marker.note)}</div>
+    `;
+    const box = item.querySelector('.cm-guest-pick input');
+    if (box) {
+      box.onchange = () => {
+        if (box.checked) guestSelected.add(marker.id); else guestSelected.delete(marker.id);
+        renderNoteList(document.getElementById('cm-search')?.value || '');
+      };
+    }
+    item.addEventListener('click', e => { if (e.target.closest('button, a, input, label')) return; scrollToMarker(marker); });
+    section.appendChild(item);
+  });
+  section.querySelector('.cm-guest-close').onclick = closeGuestLayer;
+  section.querySelector('.cm-guest-copy').onclick = () => copyGuestMarkers([...guestSelected]);
+  section.querySelector('.cm-guest-copy-all').onclick = () => copyGuestMarkers(guestLayer.markers.map(m => m.id));
+  list.appendChild(section);
+}
+
+/** Copy shared notes into this chat's own markers, re-anchored to the messages they matched here */
+async function copyGuestMarkers(ids) {
+  const own = new Set(markers.map(m => m.id));
+  const picked = guestLayer.markers.filter(m => ids.includes(m.id) && !own.has(m.id));
+  if (picked.length === 0) { showToast('Those notes are already in your markers.', 'info'); return; }
+  recordHistory('copy shared notes');
+  const now = new Date().toISOString();
+  markers = [...markers, ...picked.map(m => ({
+    ...cleanMarker(m),
+    msgRef: m._matchedMsg ? { ...m.msgRef, ...msgRefFrom(m._matchedMsg) } : m.msgRef,
+    updatedAt: now
+  }))];
+  guestSelected = new Set();
+  await saveMarkers(markers);
+  rebuildUI();
+  showUndoToast(`✅ Copied ${picked.length} shared note(s) to your markers.`);
+}
+
+function openShareModal() {
+  closeModal();
+  modalEl = document.createElement('div');
+  modalEl.className = 'cm-modal-overlay';
+  modalEl.innerHTML = `
+    <div class="cm-modal cm-share-modal" role="dialog" aria-modal="true">
+      <div class="cm-modal-header">
+        <span>🔗 Share Notes</span>
+        <button class="cm-modal-close" title="Close">✕</button>
+      </div>
+      <div class="cm-modal-body">
+        <div class="cm-import-note">Anyone with Chat Markers who opens the link sees your ${markers.length} note(s) on top of their own, read-only, and can copy them.</div>
+        <label for="cm-share-base">Conversation link they can open</label>
+        <input type="text" id="cm-share-base" value="${esc(location.origin + location.pathname)}">
+        <div class="cm-import-note">For a private ChatGPT chat, paste the link from ChatGPT's own Share button here.</div>
+        <label for="cm-share-link">Share link</label>
+        <textarea id="cm-share-link" rows="3" readonly></textarea>
+        <div class="cm-import-note cm-share-size"></div>
+        <label for="cm-share-open">Open shared notes</label>
+        <input type="text" id="cm-share-open" placeholder="Paste a share link or code">
+      </div>
+      <div class="cm-modal-footer">
+        <button class="cm-btn cm-btn-secondary cm-modal-cancel">Close</button>
+        <button class="cm-btn cm-btn-secondary cm-share-show">Show Shared Notes</button>
+        <button class="cm-btn cm-btn-primary cm-modal-save" ${markers.length ? '' : 'disabled'}>📋 Copy Link</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modalEl);
+
+  const baseInput = modalEl.querySelector('#cm-share-base');
+  const linkEl = modalEl.querySelector('#cm-share-link');
+  let bundle = '';
+  const updateLink = () => {
+    const base = baseInput.value.trim().replace(/#.*$/, '');
+    linkEl.value = bundle ? `${base}#${SHARE_PARAM}=${bundle}` : '';
+  };
+  if (markers.length) {
+    encodeShareBundle(chatMeta, markers.map(cleanMarker)).then(code => {
+      bundle = code;
+      updateLink();
+      modalEl?.querySelector('.cm-share-size')?.replaceChildren(`${markers.length} note(s) · ${(code.length / 1024).toFixed(1)} KB`);
+    });
+  } else {
+    linkEl.placeholder = 'Add some notes to share first.';
+  }
+  baseInput.addEventListener('input', updateLink);
+
+  modalEl.querySelector('.cm-modal-close').onclick = closeModal;
+  modalEl.querySelector('.cm-modal-cancel').onclick = closeModal;
+  modalEl.addEventListener('click', e => { if (e.target === modalEl) closeModal(); });
+  modalEl.addEventListener('keydown', e => { if (e.key === 'Escape') closeModal(); });
+
+  modalEl.querySelector('.cm-modal-save').onclick = async () => {
+    if (!linkEl.value) return;
+    try {
+      await navigator.clipboard.writeText(linkEl.value);
+      showToast('📋 Share link copied.', 'success');
+    } catch (e) {
+      linkEl.select();
+      showToast('Copy the selected link with Ctrl+C.', 'info');
+    }
+  };
+  modalEl.querySelector('.cm-share-show').onclick = async () => {
+    const input = modalEl.querySelector('#cm-share-open');
+    try {
+      const shared = await decodeShareBundle(input.value);
+      sessionStorage.setItem(`${SHARE_PARAM}::${chatKey}`, input.value.match(new RegExp(`${SHARE_PARAM}=([^&\\s]+)`))?.[1] || input.value.trim());
+      setGuestLayer(shared);
+      closeModal();
+      rebuildUI();
+      if (!panelOpen) togglePanel();
+      showToast(`👥 Showing ${shared.markers.length} shared note(s).`, 'success');
+    } catch (e) {
+      input.classList.add('cm-error');
+      showToast(`⚠️ ${e.message}`, 'warn');
+    }
+  };
+}
+
+// ─── Snapshots ────────────────────────────────────────────────────────────────
+const SNAPSHOT_PARAGRAPHS = /^(P|H[1-6]|UL|OL|PRE|TABLE|BLOCKQUOTE|HR)$/; // set apart by a blank line
+const SNAPSHOT_LINES = /^(DIV|LI|TR|SECTION|ARTICLE|DT|DD)$/;                   // start a new line
+let snapshotRun = null;
+const snapshotTried = new Set(); // notes whose missing snapshot was attempted this page load
+
+/** A message's text with blocks on their own lines, list items dashed and code blocks fenced */
+function snapshotText(el) {
+  const out = [];
+  let breaks = 0; // newlines owed before the next text
+  const breakAtLeast = n => { breaks = Math.max(breaks, n); };
+  const push = s => {
+    const text = breaks || out.length === 0 ? s.replace(/^\s+/, '') : s;
+    if (!text) return;
+    if (out.length) out.push('\n'.repeat(breaks));
+    breaks = 0;
+    out.push(text);
+  };
+  const walk = node => {
+    if (node.nodeType === Node.TEXT_NODE) { push(node.data.replace(/\s+/g, ' ')); return; }
+    if (node.nodeType !== Node.ELEMENT_NODE || node.matches(`${EXTENSION_ROOT_SELECTOR}, button, script, style`)) return;
+    const tag = node.tagName;
+    if (tag === 'BR') { breakAtLeast(1); return; }
+    if (tag === 'PRE') {
+      const code = node.querySelector('code') || node;
+      const lang = (code.className.match?.(/language-([\w+#-]+)/) || [])[1] || '';
+      breakAtLeast(2);
+      push(`\`\`\`${lang}\n${code.textContent.replace(/\n+$/, '')}\n\`\`\``);
+      breakAtLeast(2);
+      return;
+    }
+    const gap = SNAPSHOT_PARAGRAPHS.test(tag) ? 2 : SNAPSHOT_LINES.test(tag) ? 1 : 0;
+    breakAtLeast(gap);
+    if (tag === 'LI') push(node.parentElement?.tagName === 'OL' ? `${[...node.parentElement.children].indexOf(node) + 1}. ` : '- ');
+    if ((tag === 'TD' || tag === 'TH') && node.previousElementSibling) push(' | ');
+    node.childNodes.forEach(walk);
+    breakAtLeast(gap);
+  };
+  el.childNodes.forEach(walk);
+  return out.join('').replace(/ +\n/g, '\n').trim();
+}
+
+function snapshotHtml(el) {
+  const clone = el.cloneNode(true);
+  clone.querySelectorAll(EXTENSION_ROOT_SELECTOR).forEach(n => n.remove());
+  return sanitizeSnapshotHtml(clone.innerHTML);
+}
+
+/** A copy of `msg` to store when snapshots are on, or null */
+function messageSnapshot(msg) {
+  if (settings.snapshotMode === 'off' || !msg) return null;
+  const text = snapshotText(msg.el);
+  if (!text) return null;
+  return makeSnapshot(msg.role, text, settings.snapshotMode === 'html' ? snapshotHtml(msg.el) : '');
+}
+
+/** Save a copy of `msg` when snapshots are on; resolves to its id, or null */
+async function captureSnapshot(msg) {
+  const snapshot = messageSnapshot(msg);
+  if (!snapshot) return null;
+  try {
+    return await saveSnapshot(snapshot);
+  } catch (e) {
+    console.warn('[ChatMarkers] Could not save a message snapshot', e);
+    return null;
+  }
+}
+
+/**
+ * Copy the messages of linked notes that have no snapshot yet, e.g. notes made
+ * before snapshots were on, in one write. Each note is tried once per page load,
+ * so one that cannot be copied is not retried on every rebuild.
+ */
+function captureMissingSnapshots() {
+  if (settings.snapshotMode === 'off' || snapshotRun) return;
+  const pending = markers.filter(m => !m.snapshotId && !m._rootId && m._matchedMsg && !snapshotTried.has(m.id));
+  if (pending.length === 0) return;
+  pending.forEach(m => snapshotTried.add(m.id));
+  snapshotRun = (async () => {
+    const taken = pending.map(m => ({ id: m.id, snapshot: messageSnapshot(m._matchedMsg) })).filter(t => t.snapshot);
+    if (taken.length === 0) return;
+    const ids = await saveSnapshots(taken.map(t => t.snapshot));
+    let changed = false;
+    taken.forEach((t, i) => {
+      const live = markers.find(x => x.id === t.id);
+      if (ids[i] && live && !live.snapshotId) { live.snapshotId = ids[i]; changed = true; }
+    });
+    if (changed) {
+      await saveMarkers(markers);
+      renderNoteList(document.getElementById('cm-search')?.value || '');
+    }
+  })()
+    .catch(e => console.warn('[ChatMarkers] Could not save message snapshots', e))
+    .finally(() => { snapshotRun = null; });
+}
+
+/** Show the copy of a note's message saved when the note was made */
+async function openSnapshotModal(marker) {
+  const snapshot = (await loadSnapshots())[marker.snapshotId];
+  if (!snapshot) { showToast('⚠️ The saved copy of this message is no longer stored.', 'warn'); return; }
+  closeModal();
+  modalEl = document.createElement('div');
+  modalEl.className = 'cm-modal-overlay';
+  modalEl.innerHTML = `
+    <div class="cm-modal cm-snapshot-modal" role="dialog" aria-modal="true">
+      <div class="cm-modal-header">
+        <span>📄 Saved Message</span>
+        <button class="cm-modal-close" title="Close">✕</button>
+      </div>
+      <div class="cm-modal-body">
+        <div class="cm-import-note">${esc(snapshot.role)} message saved ${esc(new Date(snapshot.capturedAt).toLocaleString())}${snapshot.truncated ? ' · shortened' : ''}</div>
+        <div class="cm-snapshot cm-md">${snapshotBodyHtml(snapshot)}</div>
+      </div>
+      <div class="cm-modal-footer">
+        <button class="cm-btn cm-btn-secondary cm-modal-cancel">Close</button>
+        <button class="cm-btn cm-btn-primary cm-modal-save">📋 Copy Text</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modalEl);
+
+  modalEl.querySelector('.cm-modal-close').onclick = closeModal;
+  modalEl.querySelector('.cm-modal-cancel').onclick = closeModal;
+  modalEl.addEventListener('click', e => { if (e.target === modalEl) closeModal(); });
+  modalEl.addEventListener('keydown', e => { if (e.key === 'Escape') closeModal(); });
+  modalEl.querySelector('.cm-modal-save').onclick = async () => {
+    try {
+      await navigator.clipboard.writeText(snapshot.text);
+      showToast('📋 Message text copied.', 'success');
+    } catch (e) {
+      showToast('⚠️ Could not copy to the clipboard.', 'warn');
+    }
+  };
+  modalEl.querySelector('.cm-modal-save').focus();
 }
 
 // ─── Toast ────────────────────────────────────────────────────────────────────
 let toastTimeout;
-function showToast(msg, type = 'info', duration = 3000) {
+/** `action` ({ label, onClick }) adds a button, e.g. Undo, to the toast */
+function showToast(msg, type = 'info', duration = 3000, action = null) {
   let t = document.getElementById('cm-toast');
   if (!t) { t = document.createElement('div'); t.id = 'cm-toast'; document.body.appendChild(t); }
+  const hide = () => { t.style.opacity = '0'; t.classList.remove('cm-toast-actionable'); };
   t.className = `cm-toast cm-toast-${type}`;
   t.textContent = msg;
+  if (action) {
+    const btn = document.createElement('button');
+    btn.className = 'cm-toast-action';
+    btn.textContent = action.label;
+    btn.onclick = () => { hide(); action.onClick(); };
+    t.appendChild(btn);
+    t.classList.add('cm-toast-actionable');
+  }
   t.style.opacity = '1';
   clearTimeout(toastTimeout);
-  toastTimeout = setTimeout(() => { t.style.opacity = '0'; }, duration);
+  toastTimeout = setTimeout(hide, duration);
+}
+
+// ─── Appearance ───────────────────────────────────────────────────────────────
+/**
+ * Apply the Options page's look-and-feel settings; runs again whenever they change.
+ * Custom color shades go into a style element that overrides style.css.
+ */
+function applyAppearance() {
+  const root = document.documentElement;
+  if (settings.theme === 'auto') delete root.dataset.cmTheme; else root.dataset.cmTheme = settings.theme;
+  document.body.classList.toggle('cm-hide-add-btn', !settings.showAddButton);
+
+  let styleEl = document.getElementById('cm-custom-style');
+  if (!styleEl) {
+    styleEl = document.createElement('style');
+    styleEl.id = 'cm-custom-style';
+    document.head.appendChild(styleEl);
+  }
+  const custom = applyPalette(settings.palette).filter((c, i) => c.hex !== COLORS[i].hex);
+  styleEl.textContent = [
+    `:root { --cm-highlight-duration: ${settings.highlightDuration / 1000}s; }`,
+    ...custom.map(c => `.cm-pip-${c.value} { background: ${c.hex}; }
+.cm-note-${c.value} { border-left-color: ${c.hex}; }
+::highlight(cm-range-${c.value}) { background-color: ${hexToRgba(c.hex, 0.3)}; }`)
+  ].join('\n');
+
+  if (!sidebarEl) return;
+  sidebarEl.classList.toggle('cm-side-left', settings.sidebarSide === 'left');
+  sidebarEl.classList.toggle('cm-auto-collapse', settings.autoCollapse);
+  const width = Math.min(SIDEBAR_WIDTH_MAX, Math.max(SIDEBAR_WIDTH_MIN, Number(settings.sidebarWidth) || DEFAULT_SETTINGS.sidebarWidth));
+  sidebarEl.style.setProperty('--cm-sidebar-w', width + 'px');
+}
+
+/** With auto-collapse on, a click elsewhere on the page closes the list and help panels */
+function onDocumentPointerDown(e) {
+  if (!settings.autoCollapse || !sidebarEl || sidebarEl.contains(e.target)) return;
+  if (e.target.closest?.(EXTENSION_ROOT_SELECTOR)) return;
+  if (panelOpen) togglePanel();
+  document.getElementById('cm-help-panel').style.display = 'none';
 }
 
 // ─── Track Position Update ────────────────────────────────────────────────────
+/** Redraw the track in the next frame, after the layout (not just the scroll position) changed */
 function updateTrackPositions() {
   if (!rafScheduled) {
     rafScheduled = true;
@@ -529,36 +2454,110 @@ function updateTrackPositions() {
   }
 }
 
+/** Move only the viewport window: bands and pips are placed independently of the scroll position */
+function updateTrackThumbSoon() {
+  if (thumbScheduled) return;
+  thumbScheduled = true;
+  requestAnimationFrame(() => {
+    thumbScheduled = false;
+    const thumb = document.querySelector('#cm-track .cm-track-thumb');
+    if (thumb) updateTrackThumb(thumb, conversationScroller());
+  });
+}
+
 // ─── MutationObserver ─────────────────────────────────────────────────────────
-const debouncedRebuild = debounce(() => {
+let observer = null;
+let streamPollTimer = null;
+
+function isExtensionNode(node) {
+  const el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  return !!el?.closest(EXTENSION_ROOT_SELECTOR);
+}
+
+/** Mark the messages a batch of mutations touched; returns false when only the extension's own UI changed */
+function collectMutations(mutations) {
+  let relevant = false;
+  mutations.forEach(m => {
+    if (isExtensionNode(m.target)) return;
+    const nodes = [...m.addedNodes, ...m.removedNodes];
+    if (nodes.length === 0 || nodes.every(isExtensionNode)) return;
+    relevant = true;
+    for (let n = m.target; n; n = n.parentElement) {
+      if (messageCache.has(n)) { dirtyMessages.add(n); break; }
+    }
+  });
+  return relevant;
+}
+
+function sameMessages(a, b) {
+  return a.length === b.length && a.every((m, i) => {
+    const prev = b[i];
+    return m.el === prev.el && m.streaming === prev.streaming && m.hash === prev.hash
+      && m.textLength === prev.textLength && m.messageId === prev.messageId;
+  });
+}
+
+/** Re-read changed messages and rebuild only when the message list or a finished message's text changed */
+function processDomChanges() {
   const msgs = discoverMessages();
   injectNoteButtons(msgs);
-  rebuildUI();
-}, DEBOUNCE_DELAY);
+  if (!sameMessages(msgs, trackMessages)) rebuildUI();
+  refreshChatMeta();
+  // Sites do not always mutate the DOM when an answer finishes, so check back
+  if (msgs.some(m => m.streaming) && !streamPollTimer) {
+    streamPollTimer = setTimeout(() => { streamPollTimer = null; processDomChanges(); }, STREAM_POLL_MS);
+  }
+}
+
+const debouncedProcess = debounce(processDomChanges, DEBOUNCE_DELAY);
 
-let observer = null;
 function startObserver() {
   if (observer) observer.disconnect();
   observer = new MutationObserver(mutations => {
-    if (mutations.some(m => m.addedNodes.length > 0 || m.removedNodes.length > 0)) debouncedRebuild();
+    if (collectMutations(mutations)) debouncedProcess();
   });
   observer.observe(document.body, { childList: true, subtree: true });
 }
 
 // ─── Lifecycle ────────────────────────────────────────────────────────────────
+/** Load the chat for the current URL and record the visit */
+async function openChat() {
+  chatKey = deriveChatKey();
+  const loaded = await loadChat();
+  chatMeta = loaded.meta;
+  markers = loaded.markers;
+  resetHistory();
+  updateChatMeta(true);
+  if (loaded.stored) await saveMarkers(markers);
+}
+
 async function onChatChange() {
+  activeTags.clear();
+  selectMode = false;
+  selectedIds = new Set();
+  hideTrackPop();
   closeModal();
+  closePalette();
   cancelRelink();
-  chatKey = deriveChatKey();
-  markers = await loadMarkers();
+  hideSelectionButton();
+  readShareHash();
+  readFocusHash();
+  await openChat();
+  await loadGuestLayer();
   rebuildUI();
   injectNoteButtons(discoverMessages());
 }
 
 async function init() {
-  chatKey = deriveChatKey();
-  markers = await loadMarkers();
+  if (!siteAdapter) return;
+  readShareHash();
+  readFocusHash();
+  settings = await loadSettings();
+  await openChat();
+  await loadGuestLayer();
   buildSidebar();
+  resizeObserver = new ResizeObserver(debounce(updateTrackPositions, 200));
+  watchScrollContainer();
 
   let attempts = 0;
   const scanAndInject = () => {
@@ -572,11 +2571,35 @@ async function init() {
   };
   scanAndInject();
 
-  window.addEventListener('scroll', updateTrackPositions, { passive: true });
-  resizeObserver = new ResizeObserver(debounce(updateTrackPositions, 200));
-  resizeObserver.observe(document.documentElement);
+  window.addEventListener('scroll', hideSelectionButton, { passive: true });
+  document.addEventListener('mouseup', onSelectionEnd);
+  document.addEventListener('pointerdown', onDocumentPointerDown, true);
+  document.addEventListener('contextmenu', onContextMenu, true);
+  document.addEventListener('keyup', e => { if (e.shiftKey) onSelectionEnd(); });
   startObserver();
   watchUrlChange();
+  chrome.storage.onChanged.addListener(onStorageChanged);
+  chrome.runtime.onMessage.addListener(onRuntimeMessage);
+}
+
+/** Pick up changes made elsewhere (options page restores, other tabs) to the open chat */
+async function onStorageChanged(changes, area) {
+  if (area !== 'local') return;
+  if (changes[SETTINGS_KEY]) {
+    settings = { ...DEFAULT_SETTINGS, ...(changes[SETTINGS_KEY].newValue || {}) };
+    applyAppearance();
+    renderNoteList(document.getElementById('cm-search')?.value || '');
+    updateTrackPositions();
+  }
+  if (!changes[chatKey]) return;
+  const { newValue } = changes[chatKey];
+  if (newValue && JSON.stringify(newValue) === lastSavedJson) return;
+  const before = snapshotMarkers();
+  const loaded = await loadChat();
+  chatMeta = loaded.meta;
+  markers = loaded.markers;
+  rebaseHistory(before, snapshotMarkers());
+  rebuildUI();
 }
 
 if (document.readyState === 'loading') {
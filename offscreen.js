@@ -0,0 +1,15 @@
+/**
+ * Chat Markers - offscreen.js
+ * Offscreen document for background.js, which as a service worker cannot
+ * create Blob URLs: turns restore point files into URLs chrome.downloads can
+ * fetch. The URLs last as long as this document; background.js closes it once
+ * its downloads are done.
+ */
+'use strict';
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message && message.type === 'cm-blob-url') {
+    sendResponse({ url: URL.createObjectURL(new Blob([message.text], { type: message.mimeType })) });
+  }
+  return false;
+});
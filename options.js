@@ -5,60 +5,286 @@
 
 'use strict';
 
-const MARKER_KEY_PREFIX = 'chat_markers::';
+const COLOR_VALUES = COLORS.map(c => c.value);
+let tagColors = {};
 
 let toastTimer;
-function showToast(msg, duration = 2500) {
+/** `action` ({ label, onClick }) adds a button, e.g. Undo, to the toast */
+function showToast(msg, duration = 2500, action = null) {
   const el = document.getElementById('toast');
+  const hide = () => { el.style.opacity = '0'; el.classList.remove('actionable'); };
   el.textContent = msg;
+  if (action) {
+    const btn = document.createElement('button');
+    btn.textContent = action.label;
+    btn.onclick = () => { hide(); action.onClick(); };
+    el.appendChild(btn);
+    el.classList.add('actionable');
+  }
   el.style.opacity = '1';
   clearTimeout(toastTimer);
-  toastTimer = setTimeout(() => { el.style.opacity = '0'; }, duration);
+  toastTimer = setTimeout(hide, duration);
+}
+
+function refreshAll() {
+  renderList();
+  renderInsights();
+  refreshNotes();
+  renderTrash();
+  renderSync();
+  renderBackups();
+  renderTagManager();
 }
 
-/** Load all Chat Markers entries from storage */
-async function loadAllEntries() {
+const ENTRY_SORTS = {
+  visited: (a, b) => (b.meta.lastVisited || '').localeCompare(a.meta.lastVisited || ''),
+  title:   (a, b) => conversationLabel(a.meta, a.key).localeCompare(conversationLabel(b.meta, b.key)),
+  created: (a, b) => (b.meta.firstSeen || '').localeCompare(a.meta.firstSeen || ''),
+  count:   (a, b) => b.markers.length - a.markers.length
+};
+
+/** Load all Chat Markers entries from storage, migrated to the current schema */
+async function loadAllEntries(sort = 'visited') {
   const all = await chrome.storage.local.get(null);
   return Object.entries(all)
     .filter(([k]) => k.startsWith(MARKER_KEY_PREFIX))
     .map(([k, v]) => {
-      const markers = Array.isArray(v) ? v : (v?.markers || []);
-      return { key: k, markers };
+      const { meta, markers } = normalizeEntry(v, k);
+      return { key: k, meta, markers };
     })
-    .sort((a, b) => a.key.localeCompare(b.key));
+    .sort(ENTRY_SORTS[sort] || ENTRY_SORTS.visited);
 }
 
 /** Render the list of stored conversations */
 async function renderList() {
   const listEl = document.getElementById('storage-list');
-  const entries = await loadAllEntries();
+  const entries = await loadAllEntries(document.getElementById('storage-sort').value);
 
   if (entries.length === 0) {
-    listEl.innerHTML = '<span id="empty-msg">No markers saved yet. Visit a ChatGPT conversation and add notes!</span>';
+    listEl.innerHTML = '<span id="empty-msg">No markers saved yet. Visit a ChatGPT, Claude or Gemini conversation and add notes!</span>';
     return;
   }
 
   listEl.innerHTML = '';
-  entries.forEach(({ key, markers }) => {
+  entries.forEach(({ key, meta, markers }) => {
     const row = document.createElement('div');
     row.className = 'storage-row';
 
-    const shortKey = key.replace(MARKER_KEY_PREFIX, '');
+    const shortKey = conversationLabel(meta, key);
+    const details = [
+      parseChatKey(key).adapter.name,
+      meta.gptPath ? meta.gptPath.replace(/^(g|gem)\//, '$1 ') : '',
+      meta.lastVisited ? `visited ${new Date(meta.lastVisited).toLocaleDateString()}` : '',
+      meta.firstSeen ? `since ${new Date(meta.firstSeen).toLocaleDateString()}` : ''
+    ].filter(Boolean).join(' · ');
     row.innerHTML = `
-      <span class="storage-key" title="${key}">${shortKey}</span>
+      <div class="storage-info">
+        <a class="storage-title" href="${esc(conversationUrl(meta, key))}" target="_blank" rel="noopener" title="${esc(key)}">${esc(shortKey)}</a>
+        ${details ? `<span class="storage-details">${esc(details)}</span>` : ''}
+      </div>
       <span class="storage-count">${markers.length} note${markers.length !== 1 ? 's' : ''}</span>
+      <button class="storage-export" data-format="markdown" title="Export this conversation as Markdown">MD</button>
+      <button class="storage-export" data-format="html" title="Export this conversation as HTML">HTML</button>
       <button class="storage-del" data-key="${key}" title="Delete markers for this conversation">🗑</button>
     `;
 
-    row.querySelector('.storage-del').onclick = async (e) => {
-      const k = e.currentTarget.getAttribute('data-key');
-      if (confirm(`Delete all ${markers.length} markers for:\n${shortKey}?`)) {
-        await chrome.storage.local.remove(k);
-        showToast('Deleted.');
-        renderList();
-      }
-    };
+    row.querySelectorAll('.storage-export').forEach(btn => {
+      btn.onclick = () => {
+        exportConversations([{ key, meta, markers }], btn.dataset.format, `chat-markers-${fileSlug(shortKey)}`);
+        showToast('✅ Exported!');
+      };
+    });
+
+    row.querySelector('.storage-del').onclick = () => trashConversations([{ key, meta, markers }], `🗑 Moved “${shortKey}” to the trash.`);
+
+    listEl.appendChild(row);
+  });
+}
+
+// ── All Notes dashboard ──
+let allNotes = [];
+let snapshots = {};
+let openSnapshotNote = null; // id of the note whose saved message is shown
+
+/** Flatten every conversation's markers into one searchable list */
+async function loadAllNotes() {
+  const entries = await loadAllEntries();
+  return entries.flatMap(({ key, meta, markers }) => {
+    const convTitle = conversationLabel(meta, key);
+    const convUrl = conversationUrl(meta, key);
+    const site = parseChatKey(key).adapter.name;
+    return markers.map(m => ({
+      ...m,
+      convKey: key,
+      site,
+      convTitle,
+      convUrl,
+      convVisited: meta.lastVisited || '',
+      haystack: [m.note, ...(m.tags || []), m.msgRef?.snippet, m.range?.quote, convTitle, snapshots[m.snapshotId]?.text]
+        .filter(Boolean).join('\n').toLowerCase()
+    }));
+  });
+}
+
+function markerUrl(note) {
+  return `${note.convUrl}#cm-marker=${encodeURIComponent(note.id)}`;
+}
+
+function readNoteFilters() {
+  const val = id => document.getElementById(id).value;
+  return {
+    query: val('notes-search').trim().toLowerCase(),
+    color: val('notes-color'),
+    tag: val('notes-tag'),
+    role: val('notes-role'),
+    from: val('notes-from') ? new Date(val('notes-from') + 'T00:00:00') : null,
+    to: val('notes-to') ? new Date(val('notes-to') + 'T23:59:59.999') : null,
+    sort: val('notes-sort')
+  };
+}
+
+const NOTE_SORTS = {
+  newest:  (a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''),
+  oldest:  (a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''),
+  updated: (a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''),
+  conversation: (a, b) => a.convTitle.localeCompare(b.convTitle) || (a.msgRef?.indexHint ?? 0) - (b.msgRef?.indexHint ?? 0),
+  visited: (a, b) => b.convVisited.localeCompare(a.convVisited) || (a.msgRef?.indexHint ?? 0) - (b.msgRef?.indexHint ?? 0),
+  color:   (a, b) => COLOR_VALUES.indexOf(a.color || 'yellow') - COLOR_VALUES.indexOf(b.color || 'yellow')
+};
+
+function filterNotes(notes, f) {
+  return notes.filter(n => {
+    if (f.query && !f.query.split(/\s+/).every(word => n.haystack.includes(word))) return false;
+    if (f.color && (n.color || 'yellow') !== f.color) return false;
+    if (f.tag && !(n.tags || []).includes(f.tag)) return false;
+    if (f.role && (n.msgRef?.role || 'unknown') !== f.role) return false;
+    const created = new Date(n.createdAt);
+    if (f.from && !(created >= f.from)) return false;
+    if (f.to && !(created <= f.to)) return false;
+    return true;
+  }).sort(NOTE_SORTS[f.sort] || NOTE_SORTS.newest);
+}
+
+/** Fill the tag filter with every tag currently in use */
+function populateTagFilter(notes) {
+  const select = document.getElementById('notes-tag');
+  const current = select.value;
+  const tags = [...countTags([{ markers: notes }]).keys()].sort((a, b) => a.localeCompare(b));
+  select.innerHTML = '<option value="">All tags</option>' +
+    tags.map(t => `<option value="${esc(t)}">${esc(t)}</option>`).join('');
+  if (tags.includes(current)) select.value = current;
+}
+
+function renderNotes() {
+  const listEl = document.getElementById('notes-list');
+  const results = filterNotes(allNotes, readNoteFilters());
+  document.getElementById('notes-count').textContent =
+    `${results.length} of ${allNotes.length} note${allNotes.length !== 1 ? 's' : ''}`;
+
+  if (results.length === 0) {
+    listEl.innerHTML = `<span class="empty-msg">${allNotes.length ? 'No notes match these filters.' : 'No notes saved yet.'}</span>`;
+    return;
+  }
 
+  listEl.innerHTML = '';
+  results.forEach(n => {
+    const row = document.createElement('a');
+    row.className = `note-row note-${n.color || 'yellow'}`;
+    row.href = markerUrl(n);
+    row.target = '_blank';
+    row.rel = 'noopener';
+    const context = n.range?.quote || n.msgRef?.snippet || '';
+    row.innerHTML = `
+      <div class="note-meta">
+        ${noteTagsHtml(n)}
+        <span class="note-site">${esc(n.site)}</span>
+        <span class="note-role">${esc(n.msgRef?.role || 'unknown')}</span>
+        <span class="note-conv" title="${esc(n.convTitle)}">${esc(n.convTitle)}</span>
+        <span class="note-date">${n.createdAt ? new Date(n.createdAt).toLocaleDateString() : ''}</span>
+        ${snapshots[n.snapshotId] ? `<button class="storage-export note-snapshot-btn" title="The message as it was when this note was made">📄 ${openSnapshotNote === n.id ? 'Hide' : 'Saved copy'}</button>` : ''}
+      </div>
+      <div class="note-text md">${renderMarkdown(n.note, { links: false })}</div>
+      ${context ? `<div class="note-snippet">“${esc(context.slice(0, 160))}”</div>` : ''}
+    `;
+    const snapshotBtn = row.querySelector('.note-snapshot-btn');
+    if (snapshotBtn) {
+      snapshotBtn.onclick = e => {
+        e.preventDefault();
+        openSnapshotNote = openSnapshotNote === n.id ? null : n.id;
+        renderNotes();
+      };
+    }
+    listEl.appendChild(row);
+    if (openSnapshotNote === n.id && snapshots[n.snapshotId]) listEl.appendChild(snapshotViewEl(snapshots[n.snapshotId]));
+  });
+}
+
+function snapshotViewEl(snapshot) {
+  const el = document.createElement('div');
+  el.className = 'snapshot-view';
+  el.innerHTML = `
+    <div class="storage-details">${esc(snapshot.role)} message saved ${esc(formatDate(snapshot.capturedAt))}${snapshot.truncated ? ' · shortened' : ''}</div>
+    <div class="md">${snapshotBodyHtml(snapshot)}</div>
+  `;
+  return el;
+}
+
+function noteTagsHtml(m) {
+  return (m.tags || []).map(t => `<span class="note-tag" ${tagStyle(t, tagColors)}>${esc(t)}</span>`).join('');
+}
+
+async function refreshNotes() {
+  tagColors = (await loadSettings()).tagColors;
+  snapshots = await loadSnapshots();
+  allNotes = await loadAllNotes();
+  populateTagFilter(allNotes);
+  renderNotes();
+  renderFollowUps();
+}
+
+// ── Follow-ups ──
+
+/** Open and snoozed notes with a due date (optionally all open notes), soonest first */
+function renderFollowUps() {
+  const listEl = document.getElementById('followup-list');
+  const includeUndated = document.getElementById('followup-undated').checked;
+  const now = Date.now();
+  const items = allNotes
+    .filter(n => markerStatus(n) !== 'done' && (n.dueAt || includeUndated))
+    .sort((a, b) => (a.dueAt || '\uffff').localeCompare(b.dueAt || '\uffff') || (a.createdAt || '').localeCompare(b.createdAt || ''));
+  const dueCount = items.filter(n => isFollowUpDue(n, now)).length;
+  document.getElementById('followup-count').textContent =
+    `${items.length} open follow-up${items.length !== 1 ? 's' : ''}${dueCount ? ` · ${dueCount} due` : ''}`;
+
+  if (items.length === 0) {
+    listEl.innerHTML = '<span class="empty-msg">Nothing to follow up. Set a status or reminder in the note editor.</span>';
+    return;
+  }
+
+  listEl.innerHTML = '';
+  items.forEach(n => {
+    const row = document.createElement('div');
+    row.className = `storage-row${isFollowUpDue(n, now) ? ' followup-due' : ''}`;
+    const details = [
+      n.dueAt ? formatDue(n, now) : 'no due date',
+      markerStatus(n) === 'snoozed' ? 'snoozed' : '',
+      n.convTitle
+    ].filter(Boolean).join(' · ');
+    row.innerHTML = `
+      <div class="storage-info">
+        <a class="storage-title" href="${esc(markerUrl(n))}" target="_blank" rel="noopener">${esc(n.note.split('\n')[0] || '(empty note)')}</a>
+        <span class="storage-details">${esc(details)}</span>
+      </div>
+      <button class="storage-export" data-status="done" title="Mark as done">✓ Done</button>
+      <button class="storage-export" data-status="snoozed" title="Remind me again in ${SNOOZE_DAYS} day">Snooze</button>
+    `;
+    row.querySelectorAll('[data-status]').forEach(btn => {
+      btn.onclick = async () => {
+        await updateStoredMarker(n.convKey, n.id, m => withStatus(m, btn.dataset.status));
+        showToast(btn.dataset.status === 'done' ? '✓ Marked done.' : `⏰ Snoozed for ${SNOOZE_DAYS} day.`);
+        refreshNotes();
+      };
+    });
     listEl.appendChild(row);
   });
 }
@@ -70,83 +296,899 @@ async function exportAll() {
 
   const data = {
     exportedAt: new Date().toISOString(),
-    schemaVersion: 2,
+    schemaVersion: SCHEMA_VERSION,
     conversations: entries
   };
-  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = `chat-markers-all-${Date.now()}.json`;
-  a.click();
-  URL.revokeObjectURL(url);
+  downloadFile(JSON.stringify(data, null, 2), `chat-markers-all-${Date.now()}.json`, 'application/json');
+  showToast('✅ Exported all conversations!');
+}
+
+/** Export all conversations as one readable Markdown or HTML document */
+async function exportAllReadable(format) {
+  const entries = await loadAllEntries(document.getElementById('storage-sort').value);
+  if (entries.length === 0) { showToast('Nothing to export.'); return; }
+  exportConversations(entries, format, `chat-markers-all-${Date.now()}`);
   showToast('✅ Exported all conversations!');
 }
 
+/** Move whole conversations to the trash, offering an undo */
+async function trashConversations(entries, message) {
+  const items = await addToTrash(entries.map(({ key, meta, markers }) => ({ type: 'conversation', key, meta, markers })));
+  await chrome.storage.local.remove(entries.map(e => e.key));
+  refreshAll();
+  showToast(message, 6000, {
+    label: 'Undo',
+    onClick: async () => {
+      for (const item of items) await restoreTrashItem(item);
+      showToast('↶ Restored.');
+      refreshAll();
+    }
+  });
+}
+
 /** Clear all markers */
 async function clearAll() {
   const entries = await loadAllEntries();
   if (entries.length === 0) { showToast('Nothing to clear.'); return; }
-  if (!confirm(`Delete ALL ${entries.length} conversation(s) worth of markers?\nThis cannot be undone.`)) return;
-  const keys = entries.map(e => e.key);
-  await chrome.storage.local.remove(keys);
-  showToast('✅ All markers cleared.');
-  renderList();
+  if (!confirm(`Move ALL ${entries.length} conversation(s) worth of markers to the trash?`)) return;
+  await trashConversations(entries, '✅ All markers moved to the trash.');
 }
 
-/** Import from JSON file */
+// ── Trash ──
+
+/** Merge a trashed item back into its conversation and drop it from the trash */
+async function restoreTrashItem(item) {
+  const existing = await chrome.storage.local.get(item.key);
+  const entry = normalizeEntry(existing[item.key], item.key);
+  const existingIds = new Set(entry.markers.map(m => m.id));
+  const toAdd = item.markers.filter(m => !existingIds.has(m.id));
+  await chrome.storage.local.set({
+    [item.key]: { ...entry, meta: mergeMeta(entry.meta, item.meta), markers: [...entry.markers, ...toAdd] }
+  });
+  await saveTrash((await loadTrash()).filter(t => t.id !== item.id));
+}
+
+async function renderTrash() {
+  const listEl = document.getElementById('trash-list');
+  const [items, settings] = await Promise.all([loadTrash(), loadSettings()]);
+  document.getElementById('trash-retention').value = String(settings.trashRetentionDays);
+
+  if (items.length === 0) {
+    listEl.innerHTML = '<span class="empty-msg">The trash is empty.</span>';
+    return;
+  }
+
+  listEl.innerHTML = '';
+  [...items].sort((a, b) => b.deletedAt.localeCompare(a.deletedAt)).forEach(item => {
+    const row = document.createElement('div');
+    row.className = 'storage-row';
+    const convLabel = conversationLabel(item.meta, item.key);
+    const what = item.type === 'conversation'
+      ? `Conversation “${convLabel}”`
+      : (item.markers.length === 1 ? `Note “${item.markers[0].note.slice(0, 60)}”` : `${item.markers.length} notes`);
+    const expires = settings.trashRetentionDays > 0
+      ? ` · purged ${new Date(new Date(item.deletedAt).getTime() + settings.trashRetentionDays * DAY_MS).toLocaleDateString()}`
+      : '';
+    row.innerHTML = `
+      <div class="storage-info">
+        <span class="storage-title">${esc(what)}</span>
+        <span class="storage-details">${item.type === 'marker' ? `in ${esc(convLabel)} · ` : ''}deleted ${esc(new Date(item.deletedAt).toLocaleString())}${esc(expires)}</span>
+      </div>
+      <span class="storage-count">${item.markers.length} note${item.markers.length !== 1 ? 's' : ''}</span>
+      <button class="storage-export trash-restore" title="Restore">↶ Restore</button>
+      <button class="storage-del" title="Delete forever">✕</button>
+    `;
+    row.querySelector('.trash-restore').onclick = async () => {
+      await restoreTrashItem(item);
+      showToast('↶ Restored.');
+      refreshAll();
+    };
+    row.querySelector('.storage-del').onclick = async () => {
+      if (!confirm('Delete this item forever?')) return;
+      await saveTrash((await loadTrash()).filter(t => t.id !== item.id));
+      renderTrash();
+    };
+    listEl.appendChild(row);
+  });
+}
+
+async function emptyTrash() {
+  const items = await loadTrash();
+  if (items.length === 0) { showToast('The trash is already empty.'); return; }
+  if (!confirm(`Permanently delete ${items.length} trashed item(s)?\nThis cannot be undone.`)) return;
+  await saveTrash([]);
+  showToast('✅ Trash emptied.');
+  renderTrash();
+}
+
+/** Fill gaps in stored metadata from an imported record */
+function mergeMeta(current, incoming) {
+  if (!incoming) return current;
+  const merged = { ...current };
+  for (const [k, v] of Object.entries(incoming)) if (merged[k] == null && v != null) merged[k] = v;
+  return merged;
+}
+
+// ── Import ──
+// Each group from the file carries a `target` key; '' means don't import it.
+let pendingImport = null;
+
+/** Read an export file and show the import preview */
 async function importFile(e) {
   const file = e.target.files[0];
+  e.target.value = '';
   if (!file) return;
   try {
-    const text = await file.text();
-    const data = JSON.parse(text);
-    let imported = 0;
-
-    // Handle both single-chat export and all-chat export
-    if (data.conversations) {
-      // All-chat export
-      for (const conv of data.conversations) {
-        if (!conv.key || !Array.isArray(conv.markers)) continue;
-        const existing = await chrome.storage.local.get(conv.key);
-        const existingMarkers = (existing[conv.key]?.markers || []);
-        const existingIds = new Set(existingMarkers.map(m => m.id));
-        const toAdd = conv.markers.filter(m => m.id && !existingIds.has(m.id));
-        if (toAdd.length > 0) {
-          await chrome.storage.local.set({
-            [conv.key]: { schemaVersion: 2, markers: [...existingMarkers, ...toAdd] }
-          });
-          imported += toAdd.length;
-        }
-      }
-    } else if (data.chatKey && Array.isArray(data.markers)) {
-      // Single-chat export
-      const existing = await chrome.storage.local.get(data.chatKey);
-      const existingMarkers = (existing[data.chatKey]?.markers || []);
-      const existingIds = new Set(existingMarkers.map(m => m.id));
-      const toAdd = data.markers.filter(m => m.id && !existingIds.has(m.id));
-      await chrome.storage.local.set({
-        [data.chatKey]: { schemaVersion: 2, markers: [...existingMarkers, ...toAdd] }
-      });
-      imported = toAdd.length;
-    } else {
-      throw new Error('Unrecognized format');
-    }
-
-    showToast(`✅ Imported ${imported} marker(s).`);
-    renderList();
+    const groups = parseImport(JSON.parse(await file.text()));
+    pendingImport = groups.map(g => ({ ...g, target: g.key || '' }));
+    renderImportPreview();
   } catch (err) {
     showToast('❌ Import failed: ' + err.message);
   }
-  e.target.value = '';
+}
+
+function importCountsHtml(counts) {
+  return Object.entries(counts)
+    .filter(([, n]) => n > 0)
+    .map(([status, n]) => `<span class="import-badge import-${status}">${n} ${IMPORT_STATUS_LABELS[status].toLowerCase()}</span>`)
+    .join(' ') || 'No notes';
+}
+
+async function renderImportPreview() {
+  const previewEl = document.getElementById('import-preview');
+  const groupsEl = document.getElementById('import-groups');
+  const entries = await loadAllEntries('title');
+  previewEl.hidden = false;
+  groupsEl.innerHTML = '';
+
+  pendingImport.forEach(group => {
+    const target = entries.find(x => x.key === group.target);
+    const plan = group.target ? planImport(group.markers, target ? target.markers : []) : null;
+    const invalid = plan ? plan.filter(item => item.status === 'invalid') : [];
+    const row = document.createElement('div');
+    row.className = 'import-group';
+    row.innerHTML = `
+      <div class="storage-row">
+        <div class="storage-info">
+          <span class="storage-title">${esc(conversationLabel(group.meta, group.key || 'Untitled'))}</span>
+          <span class="storage-details">${plan ? importCountsHtml(summarizeImport(plan)) : `${group.markers.length} note(s) · choose a conversation to import into`}</span>
+        </div>
+        <select class="import-target" title="Import into">
+          <option value="">Don't import</option>
+          ${group.key ? `<option value="${esc(group.key)}">Original conversation</option>` : ''}
+          ${entries.filter(x => x.key !== group.key).map(x =>
+            `<option value="${esc(x.key)}">${esc(conversationLabel(x.meta, x.key))}</option>`).join('')}
+        </select>
+      </div>
+      ${invalid.length > 0 ? `<ul class="import-errors">${invalid.map(item =>
+        `<li>Record ${item.index + 1}: ${esc(item.errors.join(', '))}</li>`).join('')}</ul>` : ''}
+    `;
+    const select = row.querySelector('.import-target');
+    select.value = group.target;
+    select.onchange = () => { group.target = select.value; renderImportPreview(); };
+    groupsEl.appendChild(row);
+  });
+}
+
+function closeImportPreview() {
+  pendingImport = null;
+  document.getElementById('import-preview').hidden = true;
+}
+
+/** Apply the previewed import with the chosen strategy */
+async function applyPendingImport() {
+  if (!pendingImport) return;
+  const strategy = document.getElementById('import-strategy').value;
+  let added = 0, replaced = 0;
+  for (const group of pendingImport) {
+    if (!group.target) continue;
+    const existing = await chrome.storage.local.get(group.target);
+    const entry = normalizeEntry(existing[group.target], group.target);
+    const result = applyImport(entry.markers, planImport(group.markers, entry.markers), strategy);
+    if (result.added + result.replaced === 0) continue;
+    // Only the original conversation takes metadata from the file
+    const meta = group.target === group.key ? mergeMeta(entry.meta, group.meta) : entry.meta;
+    await chrome.storage.local.set({ [group.target]: { ...entry, meta, markers: result.markers } });
+    added += result.added;
+    replaced += result.replaced;
+  }
+  closeImportPreview();
+  showToast(`✅ Imported ${added} new, ${replaced} updated marker(s).`);
+  refreshAll();
+}
+
+// ── Sync & storage ──
+
+function formatBytes(n) {
+  return n < 1024 ? `${n} B` : n < 1024 * 1024 ? `${(n / 1024).toFixed(1)} KB` : `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function renderMeter(el, { used, quota }) {
+  const pct = Math.min(100, (used / quota) * 100);
+  el.querySelector('.meter-fill').style.width = `${pct}%`;
+  el.querySelector('.meter-fill').classList.toggle('meter-full', pct > 90);
+  el.querySelector('.meter-label').textContent = `${formatBytes(used)} of ${formatBytes(quota)} (${pct.toFixed(pct < 10 ? 1 : 0)}%)`;
+}
+
+async function loadConflicts() {
+  const { [SYNC_CONFLICTS_KEY]: stored } = await chrome.storage.local.get(SYNC_CONFLICTS_KEY);
+  return (stored && stored.items) || [];
+}
+
+/**
+ * Settle a sync conflict: `choice` is 'local', 'remote' or 'both'.
+ * The kept version gets a fresh `updatedAt` so it wins on every device.
+ */
+async function resolveConflict(item, choice) {
+  const { [item.key]: raw } = await chrome.storage.local.get(item.key);
+  const entry = normalizeEntry(raw, item.key);
+  const now = new Date().toISOString();
+  const replacement = choice === 'remote'
+    ? [{ ...item.remote, updatedAt: now }]
+    : [{ ...item.local, updatedAt: now }];
+  if (choice === 'both') {
+    replacement.push({ ...item.remote, id: genId(), updatedAt: now });
+  }
+  const i = entry.markers.findIndex(m => m.id === item.markerId);
+  const markers = [...entry.markers];
+  if (i === -1) markers.push(...replacement); else markers.splice(i, 1, ...replacement);
+  await chrome.storage.local.set({
+    [item.key]: { ...entry, markers },
+    [SYNC_CONFLICTS_KEY]: { items: (await loadConflicts()).filter(c => c.id !== item.id) }
+  });
+}
+
+function conflictVersionHtml(label, m) {
+  return `
+    <div class="conflict-version" style="border-left-color:${colorInfo(m.color).hex}">
+      <div class="note-meta">
+        <strong>${label}</strong>
+        ${noteTagsHtml(m)}
+        <span class="note-date">${esc(formatDate(markerStamp(m)))}</span>
+      </div>
+      <div class="note-text md">${renderMarkdown(m.note)}</div>
+    </div>`;
+}
+
+async function renderConflicts() {
+  const listEl = document.getElementById('conflict-list');
+  const items = await loadConflicts();
+  if (items.length === 0) {
+    listEl.innerHTML = '<span class="empty-msg">No sync conflicts.</span>';
+    return;
+  }
+  listEl.innerHTML = '';
+  items.forEach(item => {
+    const row = document.createElement('div');
+    row.className = 'conflict-row';
+    row.innerHTML = `
+      <div class="storage-details">Edited on two devices in <strong>${esc(conversationLabel(item.meta, item.key))}</strong> · detected ${esc(formatDate(item.detectedAt))}</div>
+      <div class="conflict-versions">
+        ${conflictVersionHtml('This device', item.local)}
+        ${conflictVersionHtml('Other device', item.remote)}
+      </div>
+      <button class="storage-export" data-choice="local">Keep this device's</button>
+      <button class="storage-export" data-choice="remote">Keep other device's</button>
+      <button class="storage-export" data-choice="both">Keep both</button>
+    `;
+    row.querySelectorAll('[data-choice]').forEach(btn => {
+      btn.onclick = async () => {
+        await resolveConflict(item, btn.dataset.choice);
+        showToast('✅ Conflict resolved.');
+        refreshAll();
+      };
+    });
+    listEl.appendChild(row);
+  });
+}
+
+async function renderSync() {
+  const [settings, usage, { [SYNC_STATE_KEY]: state }] = await Promise.all([
+    loadSettings(), storageUsage(), chrome.storage.local.get(SYNC_STATE_KEY)
+  ]);
+  document.getElementById('sync-enabled').checked = settings.syncEnabled;
+  renderMeter(document.getElementById('meter-local'), usage.local);
+  renderMeter(document.getElementById('meter-sync'), usage.sync);
+
+  const status = [];
+  if (!settings.syncEnabled) status.push('Sync is off. Notes stay on this device.');
+  else if (!state) status.push('Waiting for the first sync…');
+  else {
+    status.push(`Last synced ${formatDate(state.lastSyncAt)}.`);
+    if (state.skipped.length > 0) {
+      status.push(`${state.skipped.length} conversation(s) did not fit in sync storage and stay on this device only.`);
+    }
+    if (state.lastError) status.push(`Last error: ${state.lastError}`);
+    if (state.retryAt && state.retryAt > new Date().toISOString()) {
+      status.push(`Sync storage is busy; changes are sent after ${formatDate(state.retryAt)}.`);
+    }
+  }
+  document.getElementById('sync-status').textContent = status.join(' ');
+  renderSnapshotUsage();
+  renderConflicts();
+}
+
+async function renderSnapshotUsage() {
+  const items = Object.values(await loadSnapshots());
+  const bytes = items.reduce((sum, item) => sum + (item.bytes || 0), 0);
+  document.getElementById('snapshot-usage').textContent = items.length
+    ? `${items.length} saved cop${items.length === 1 ? 'y' : 'ies'} · ${formatBytes(bytes)} of ${formatBytes(SNAPSHOT_TOTAL_BYTES)}; the oldest are removed beyond that.`
+    : 'No saved copies yet.';
+}
+
+async function pruneSnapshotsFromOptions() {
+  const removed = await pruneSnapshots();
+  showToast(removed ? `🗑 Removed ${removed} unused cop${removed === 1 ? 'y' : 'ies'}.` : 'Every saved copy still belongs to a note.');
+  refreshAll();
+}
+
+async function syncNowFromOptions() {
+  const result = await chrome.runtime.sendMessage({ type: 'cm-sync-now' });
+  if (!result || !result.ok) showToast('❌ Sync failed: ' + ((result && result.error) || 'no response'));
+  else if (!result.enabled) showToast('Turn on sync first.');
+  else showToast(result.conflicts > 0 ? `⚠️ Synced with ${result.conflicts} conflict(s) to review.` : '✅ Synced.');
+  refreshAll();
+}
+
+// ── Insights ──
+const INSIGHT_TOP = 8;                 // rows in the tag, conversation and storage charts
+const LARGE_ENTRY_BYTES = 64 * 1024;   // conversations above this are flagged
+const ACTIVITY_BUCKETS = 12;
+const ACTIVITY_SPANS = {
+  weeks: {
+    label: 'Last 12 weeks',
+    start: d => new Date(d.getFullYear(), d.getMonth(), d.getDate() - (d.getDay() + 6) % 7),
+    step: (d, n) => new Date(d.getFullYear(), d.getMonth(), d.getDate() + 7 * n),
+    format: d => d.toLocaleDateString([], { month: 'short', day: 'numeric' })
+  },
+  months: {
+    label: 'Last 12 months',
+    start: d => new Date(d.getFullYear(), d.getMonth(), 1),
+    step: (d, n) => new Date(d.getFullYear(), d.getMonth() + n, 1),
+    format: d => d.toLocaleDateString([], { month: 'short' })
+  }
+};
+const NOTE_COUNT_BUCKETS = [[1, 1], [2, 5], [6, 10], [11, 25], [26, Infinity]];
+
+/** Notes created and updated per week or month, oldest bucket first */
+function activityBuckets(notes, span, now = new Date()) {
+  const { start, step } = ACTIVITY_SPANS[span];
+  const first = step(start(now), 1 - ACTIVITY_BUCKETS);
+  const buckets = Array.from({ length: ACTIVITY_BUCKETS }, (_, i) => ({ start: step(first, i), created: 0, updated: 0 }));
+  const bucketFor = iso => {
+    const t = iso ? new Date(iso) : null;
+    if (!t || isNaN(t) || t < first || t > now) return null;
+    return buckets.findLast(b => b.start <= t);
+  };
+  notes.forEach(m => {
+    const created = bucketFor(m.createdAt);
+    if (created) created.created++;
+    const updated = m.updatedAt && m.updatedAt !== m.createdAt && bucketFor(m.updatedAt);
+    if (updated) updated.updated++;
+  });
+  return buckets;
+}
+
+/** Everything the insights card shows, from entries carrying their stored size (`bytes`) */
+function computeInsights(entries, health) {
+  const notes = entries.flatMap(e => e.markers);
+  const colors = new Map();
+  notes.forEach(m => {
+    const color = colorInfo(m.color).value;
+    colors.set(color, (colors.get(color) || 0) + 1);
+  });
+  let replies = 0, orphans = 0, checked = 0, missing = 0, unchecked = 0;
+  entries.forEach(({ key, markers }) => {
+    const ids = new Set(markers.map(m => m.id));
+    const entryReplies = markers.filter(m => isReply(m, ids)).length;
+    replies += entryReplies;
+    orphans += markers.filter(m => m.parentId && !isReply(m, ids)).length;
+    const roots = markers.length - entryReplies;
+    if (!health[key]) { unchecked += roots; return; }
+    const lost = health[key].missing.filter(id => ids.has(id)).length;
+    checked += roots - lost;
+    missing += lost;
+  });
+  return {
+    notes,
+    replies,
+    orphans,
+    links: { found: checked, missing, unchecked },
+    done: notes.filter(m => markerStatus(m) === 'done').length,
+    tags: [...countTags(entries)].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])),
+    colors: markerColors.map(c => ({ ...c, count: colors.get(c.value) || 0 })),
+    byCount: [...entries].sort((a, b) => b.markers.length - a.markers.length),
+    bySize: [...entries].sort((a, b) => b.bytes - a.bytes),
+    bytes: entries.reduce((sum, e) => sum + e.bytes, 0)
+  };
+}
+
+/** Horizontal bars; rows are `{ label, value, href?, warn? }` */
+function barChartHtml(rows, format = String) {
+  if (rows.length === 0) return '<span class="empty-msg">Nothing yet.</span>';
+  const max = Math.max(1, ...rows.map(r => r.value));
+  return `<div class="bar-chart">${rows.map(r => `
+    <span class="bar-label" title="${esc(r.label)}">${r.href ? `<a href="${esc(r.href)}" target="_blank" rel="noopener">${esc(r.label)}</a>` : esc(r.label)}</span>
+    <span class="bar-track"><span class="bar-fill${r.warn ? ' bar-warn' : ''}" style="width:${(r.value / max) * 100}%"></span></span>
+    <span class="bar-value">${esc(format(r.value))}</span>`).join('')}</div>`;
+}
+
+/** One bar split into shares, with a legend; parts are `{ label, value, color }` */
+function stackBarHtml(parts) {
+  const total = parts.reduce((sum, p) => sum + p.value, 0);
+  if (total === 0) return '<span class="empty-msg">Nothing yet.</span>';
+  const pct = p => `${Math.round((p.value / total) * 100)}%`;
+  return `
+    <div class="stack-bar">${parts.filter(p => p.value).map(p =>
+      `<span style="width:${(p.value / total) * 100}%;background:${p.color}" title="${esc(p.label)}: ${p.value}"></span>`).join('')}</div>
+    <div class="chart-legend">${parts.map(p =>
+      `<span><i style="background:${p.color}"></i>${esc(p.label)} ${p.value} (${pct(p)})</span>`).join('')}</div>`;
+}
+
+function activityChartSvg(buckets, span) {
+  const width = 600, height = 150, base = 130, top = 14;
+  const slot = width / buckets.length;
+  const bar = (slot - 10) / 2;
+  const max = Math.max(1, ...buckets.flatMap(b => [b.created, b.updated]));
+  const y = n => base - (n / max) * (base - top);
+  const { format } = ACTIVITY_SPANS[span];
+  const columns = buckets.map((b, i) => {
+    const x = i * slot + 5;
+    const label = format(b.start);
+    return `
+      <rect class="created" x="${x}" y="${y(b.created)}" width="${bar}" height="${base - y(b.created)}"><title>${esc(label)}: ${b.created} created</title></rect>
+      <rect class="updated" x="${x + bar}" y="${y(b.updated)}" width="${bar}" height="${base - y(b.updated)}"><title>${esc(label)}: ${b.updated} updated</title></rect>
+      ${i % 2 === buckets.length % 2 ? '' : `<text x="${x + bar}" y="${height - 4}" text-anchor="middle">${esc(label)}</text>`}`;
+  }).join('');
+  return `
+    <svg class="activity-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Notes created and updated, ${esc(ACTIVITY_SPANS[span].label.toLowerCase())}">
+      <line x1="0" y1="${base}" x2="${width}" y2="${base}"></line>
+      <text x="0" y="10">${max}</text>
+      ${columns}
+    </svg>
+    <div class="chart-legend"><span><i style="background:var(--accent)"></i>Created</span><span><i style="background:var(--text2);opacity:0.45"></i>Updated</span></div>`;
+}
+
+async function renderInsights() {
+  const [all, health] = await Promise.all([chrome.storage.local.get(null), loadLinkHealth()]);
+  const entries = Object.keys(all).filter(k => k.startsWith(MARKER_KEY_PREFIX)).map(key => ({
+    key, ...normalizeEntry(all[key], key), bytes: byteLength(key + JSON.stringify(all[key]))
+  }));
+  const stats = computeInsights(entries, health);
+  const count = stats.notes.length;
+  const links = stats.links;
+  const linkChecked = links.found + links.missing;
+
+  const tiles = [
+    [count, `note${count !== 1 ? 's' : ''}`],
+    [entries.length, `conversation${entries.length !== 1 ? 's' : ''}`],
+    [entries.length ? (count / entries.length).toFixed(1) : '0', 'notes per conversation'],
+    [stats.tags.length, `tag${stats.tags.length !== 1 ? 's' : ''} used`],
+    [stats.replies, `repl${stats.replies !== 1 ? 'ies' : 'y'}`],
+    [stats.done, 'done'],
+    [linkChecked ? `${Math.round((links.missing / linkChecked) * 100)}%` : '–', 'notes missing their message'],
+    [formatBytes(stats.bytes), 'stored']
+  ];
+  document.getElementById('insight-tiles').innerHTML = tiles
+    .map(([value, label]) => `<div class="insight-tile"><b>${esc(String(value))}</b><span>${esc(label)}</span></div>`).join('');
+
+  const span = document.getElementById('insight-span').value;
+  document.getElementById('insight-activity').innerHTML = activityChartSvg(activityBuckets(stats.notes, span), span);
+
+  document.getElementById('insight-colors').innerHTML = stackBarHtml(stats.colors
+    .map(c => ({ label: c.label, value: c.count, color: `var(--color-${c.value})` })));
+
+  document.getElementById('insight-health').innerHTML = stackBarHtml([
+    { label: 'Found', value: links.found, color: 'var(--green)' },
+    { label: 'Missing', value: links.missing, color: 'var(--red)' },
+    { label: 'Not checked', value: links.unchecked, color: 'var(--border)' }
+  ]) + `
+    <p class="insight-note">As found the last time each conversation was open in this browser; open one to check it again.</p>
+    ${stats.orphans ? `<p class="insight-note warn">${stats.orphans} repl${stats.orphans === 1 ? 'y has' : 'ies have'} lost the note ${stats.orphans === 1 ? 'it answers' : 'they answer'} and ${stats.orphans === 1 ? 'is' : 'are'} shown as a note of ${stats.orphans === 1 ? 'its' : 'their'} own.</p>` : ''}`;
+
+  document.getElementById('insight-tags').innerHTML = barChartHtml(stats.tags.slice(0, INSIGHT_TOP)
+    .map(([tag, n]) => ({ label: `#${tag}`, value: n })));
+
+  document.getElementById('insight-distribution').innerHTML = entries.length === 0 ? barChartHtml([])
+    : barChartHtml(NOTE_COUNT_BUCKETS.map(([lo, hi]) => ({
+      label: `${lo === hi ? lo : hi === Infinity ? `${lo}+` : `${lo}–${hi}`} note${hi === 1 ? '' : 's'}`,
+      value: entries.filter(e => e.markers.length >= lo && e.markers.length <= hi).length
+    })), n => `${n} chat${n !== 1 ? 's' : ''}`);
+
+  document.getElementById('insight-conversations').innerHTML = barChartHtml(stats.byCount.slice(0, INSIGHT_TOP)
+    .map(e => ({ label: conversationLabel(e.meta, e.key), href: conversationUrl(e.meta, e.key), value: e.markers.length })));
+
+  const large = stats.bySize.filter(e => e.bytes >= LARGE_ENTRY_BYTES);
+  document.getElementById('insight-storage').innerHTML = barChartHtml(stats.bySize.slice(0, INSIGHT_TOP)
+    .map(e => ({ label: conversationLabel(e.meta, e.key), href: conversationUrl(e.meta, e.key), value: e.bytes, warn: e.bytes >= LARGE_ENTRY_BYTES })), formatBytes)
+    + (large.length ? `<p class="insight-note warn">⚠️ ${large.length === 1 ? `“${esc(conversationLabel(large[0].meta, large[0].key))}” is` : `${large.length} conversations are`} over ${formatBytes(LARGE_ENTRY_BYTES)}. Large conversations load and save more slowly and may not fit in sync storage (${formatBytes(chrome.storage.sync.QUOTA_BYTES)} in total); export and delete notes you no longer need.</p>` : '');
+}
+
+// ── Backups ──
+let openBackupDiff = null; // id of the restore point whose comparison is shown
+
+const DIFF_STATUS_LABELS = {
+  added: 'Created since — not in this restore point',
+  removed: 'Deleted since — restoring brings it back',
+  changed: 'Changed since'
+};
+
+function diffNotesHtml(d) {
+  const line = (cls, sign, text) => `<li class="${cls}">${sign} ${esc(text.replace(/\s+/g, ' ').slice(0, 100))}</li>`;
+  const lines = [
+    ...d.removed.map(m => line('diff-removed', '−', `${m.note} (deleted since)`)),
+    ...d.added.map(m => line('diff-added', '+', `${m.note} (added since)`)),
+    ...d.changed.map(c => line('diff-changed', '~', c.before.note === c.after.note ? `${c.after.note} (edited)` : `${c.before.note} → ${c.after.note}`))
+  ];
+  return `<ul class="diff-notes">${lines.join('')}</ul>`;
+}
+
+/** Comparison of a restore point with the current notes; each changed conversation can be restored on its own */
+function backupDiffEl(item, current) {
+  const el = document.createElement('div');
+  el.className = 'backup-diff';
+  const diffs = diffBackup(item.data, current).filter(d => d.status !== 'same');
+  if (diffs.length === 0) {
+    el.innerHTML = '<span class="empty-msg">No differences: your notes match this restore point.</span>';
+    return el;
+  }
+  diffs.forEach(d => {
+    const row = document.createElement('div');
+    row.className = 'diff-conv';
+    const counts = [
+      d.removed.length ? `${d.removed.length} deleted` : '',
+      d.added.length ? `${d.added.length} added` : '',
+      d.changed.length ? `${d.changed.length} edited` : ''
+    ].filter(Boolean).join(', ');
+    row.innerHTML = `
+      <div class="note-meta">
+        <strong>${esc(conversationLabel(d.meta, d.key))}</strong>
+        <span>${esc(d.status === 'changed' ? `${DIFF_STATUS_LABELS.changed}: ${counts}` : DIFF_STATUS_LABELS[d.status])}</span>
+        ${d.status !== 'added' ? '<button class="storage-export note-date" title="Restore this conversation as it was">↶ Restore</button>' : ''}
+      </div>
+      ${diffNotesHtml(d)}
+    `;
+    const btn = row.querySelector('button');
+    if (btn) btn.onclick = () => restoreFromBackup(item, [d.key], `↶ Restored “${conversationLabel(d.meta, d.key)}”.`);
+    el.appendChild(row);
+  });
+  return el;
+}
+
+/** Restore, then offer to undo it from the restore point taken just before */
+async function restoreFromBackup(item, keys, message) {
+  const undoPoint = await restoreBackup(item, keys);
+  refreshAll();
+  showToast(message, 6000, {
+    label: 'Undo',
+    onClick: async () => {
+      await restoreBackup(undoPoint, keys);
+      showToast('↶ Restore undone.');
+      refreshAll();
+    }
+  });
+}
+
+async function renderBackups() {
+  const listEl = document.getElementById('backup-list');
+  const [items, settings, all] = await Promise.all([loadBackups(), loadSettings(), chrome.storage.local.get(null)]);
+  document.getElementById('backup-interval').value = String(settings.backupIntervalHours);
+  document.getElementById('backup-keep').value = String(settings.backupKeep);
+  document.getElementById('backup-download').checked = settings.backupDownload;
+
+  if (items.length === 0) {
+    listEl.innerHTML = '<span class="empty-msg">No restore points yet.</span>';
+    return;
+  }
+  const current = conversationData(all);
+  listEl.innerHTML = '';
+  items.forEach(item => {
+    const row = document.createElement('div');
+    row.className = 'storage-row';
+    row.innerHTML = `
+      <div class="storage-info">
+        <span class="storage-title">${esc(formatDate(item.createdAt))}</span>
+        <span class="storage-details">${esc(BACKUP_REASONS[item.reason] || item.reason)} · ${item.conversations} conversation${item.conversations !== 1 ? 's' : ''} · ${esc(formatBytes(item.bytes))}</span>
+      </div>
+      <span class="storage-count">${item.markers} note${item.markers !== 1 ? 's' : ''}</span>
+      <button class="storage-export backup-compare">${openBackupDiff === item.id ? 'Hide' : 'Compare'}</button>
+      <button class="storage-export backup-restore" title="Restore every conversation as it was">↶ Restore all</button>
+      <button class="storage-export backup-download" title="Download as JSON (can be imported)">⬇</button>
+      <button class="storage-del" title="Delete this restore point">✕</button>
+    `;
+    row.querySelector('.backup-compare').onclick = () => {
+      openBackupDiff = openBackupDiff === item.id ? null : item.id;
+      renderBackups();
+    };
+    row.querySelector('.backup-restore').onclick = () => {
+      if (!confirm(`Restore all notes to ${formatDate(item.createdAt)}?\nConversations added since then are removed. A restore point of your current notes is taken first.`)) return;
+      restoreFromBackup(item, null, '↶ All notes restored.');
+    };
+    row.querySelector('.backup-download').onclick = () => {
+      downloadFile(backupExportJson(item), backupFileName(item), 'application/json');
+    };
+    row.querySelector('.storage-del').onclick = async () => {
+      if (!confirm('Delete this restore point?')) return;
+      await saveBackups((await loadBackups()).filter(b => b.id !== item.id));
+      renderBackups();
+    };
+    listEl.appendChild(row);
+    if (openBackupDiff === item.id) listEl.appendChild(backupDiffEl(item, current));
+  });
+}
+
+async function createBackupFromOptions() {
+  const item = await createBackup('manual');
+  showToast(item.kept
+    ? `✅ Restore point created (${item.markers} notes).`
+    : '⚠️ Not enough free local storage to keep a restore point. Download one instead.');
+  refreshAll();
+}
+
+// ── Tag manager ──
+
+/**
+ * Rewrite the tags of every marker in every conversation. `mapTags` gets a
+ * marker's tags and returns the new list; changed markers get a fresh
+ * `updatedAt` so the edit wins when syncing. Returns the number changed.
+ */
+async function rewriteTags(mapTags) {
+  const entries = await loadAllEntries();
+  const now = new Date().toISOString();
+  const writes = {};
+  let changed = 0;
+  entries.forEach(({ key, meta, markers }) => {
+    let touched = false;
+    const updated = markers.map(m => {
+      const tags = m.tags || [];
+      const next = [...new Set(mapTags(tags))];
+      if (next.join('\n') === tags.join('\n')) return m;
+      touched = true;
+      changed++;
+      return { ...m, tags: next, updatedAt: now };
+    });
+    if (touched) writes[key] = { schemaVersion: SCHEMA_VERSION, meta, markers: updated };
+  });
+  if (changed > 0) await chrome.storage.local.set(writes);
+  return changed;
+}
+
+/** Rename a tag everywhere; renaming onto an existing tag merges the two */
+async function renameTag(from, counts) {
+  const input = prompt(`Rename the tag “${from}” to:`, from);
+  if (input === null) return;
+  const to = normalizeTag(input);
+  if (!to || to === from) return;
+  if (to.includes(',')) { showToast('❌ Tags cannot contain commas.'); return; }
+  const merging = counts.has(to);
+  if (merging && !confirm(`“${to}” already exists. Merge “${from}” into it?`)) return;
+  const changed = await rewriteTags(tags => tags.map(t => (t === from ? to : t)));
+  const colors = { ...tagColors };
+  if (colors[from] && !colors[to]) colors[to] = colors[from];
+  delete colors[from];
+  await saveSettings({ tagColors: colors });
+  showToast(`✅ ${merging ? 'Merged' : 'Renamed'} “${from}” → “${to}” on ${changed} note(s).`);
+  refreshAll();
+}
+
+async function deleteTag(tag, count) {
+  if (!confirm(`Remove the tag “${tag}” from ${count} note(s)? The notes themselves are kept.`)) return;
+  const changed = await rewriteTags(tags => tags.filter(t => t !== tag));
+  const colors = { ...tagColors };
+  delete colors[tag];
+  await saveSettings({ tagColors: colors });
+  showToast(`🗑 Removed “${tag}” from ${changed} note(s).`);
+  refreshAll();
+}
+
+async function setTagColor(tag, color) {
+  const colors = { ...tagColors };
+  if (color) colors[tag] = color; else delete colors[tag];
+  tagColors = (await saveSettings({ tagColors: colors })).tagColors;
+  refreshAll();
+}
+
+async function renderTagManager() {
+  const listEl = document.getElementById('tag-list');
+  const [entries, settings] = await Promise.all([loadAllEntries(), loadSettings()]);
+  tagColors = settings.tagColors;
+  const counts = countTags(entries);
+  if (counts.size === 0) {
+    listEl.innerHTML = '<span class="empty-msg">No tags yet. Add tags to notes in the note editor.</span>';
+    return;
+  }
+
+  listEl.innerHTML = '';
+  [...counts].sort((a, b) => a[0].localeCompare(b[0])).forEach(([tag, count]) => {
+    const row = document.createElement('div');
+    row.className = 'storage-row';
+    row.innerHTML = `
+      <div class="storage-info"><span><span class="note-tag" ${tagStyle(tag, tagColors)}>${esc(tag)}</span></span></div>
+      <span class="storage-count">${count} note${count !== 1 ? 's' : ''}</span>
+      <select class="tag-color" title="Tag color">
+        <option value="">Default color</option>
+        ${colorOptionsHtml()}
+      </select>
+      <button class="storage-export tag-rename" title="Rename or merge into another tag">Rename</button>
+      <button class="storage-del" title="Remove this tag from all notes">✕</button>
+    `;
+    const colorSel = row.querySelector('.tag-color');
+    colorSel.value = tagColors[tag] || '';
+    colorSel.onchange = () => setTagColor(tag, colorSel.value);
+    row.querySelector('.tag-rename').onclick = () => renameTag(tag, counts);
+    row.querySelector('.storage-del').onclick = () => deleteTag(tag, count);
+    listEl.appendChild(row);
+  });
+}
+
+// ── Appearance & behavior ──
+
+const SETTING_INPUTS = {
+  'set-sidebar-side': 'sidebarSide',
+  'set-theme': 'theme',
+  'set-highlight-duration': 'highlightDuration',
+  'set-default-color': 'defaultColor',
+  'set-snapshot-mode': 'snapshotMode'
+};
+
+function colorOptionsHtml() {
+  return markerColors.map(c => `<option value="${c.value}">${esc(c.label)}</option>`).join('');
+}
+
+/** This page follows the theme and color shades too */
+function applyAppearanceToPage(settings) {
+  const root = document.documentElement;
+  if (settings.theme === 'auto') delete root.dataset.cmTheme; else root.dataset.cmTheme = settings.theme;
+  applyPalette(settings.palette).forEach(c => root.style.setProperty(`--color-${c.value}`, c.hex));
+  const colorFilter = document.getElementById('notes-color');
+  const selected = colorFilter.value;
+  colorFilter.innerHTML = `<option value="">All colors</option>${colorOptionsHtml()}`;
+  colorFilter.value = selected;
+}
+
+async function renderSettings() {
+  const settings = await loadSettings();
+  applyAppearanceToPage(settings);
+  document.getElementById('set-default-color').innerHTML = colorOptionsHtml();
+  Object.entries(SETTING_INPUTS).forEach(([id, key]) => { document.getElementById(id).value = String(settings[key]); });
+  const width = document.getElementById('set-sidebar-width');
+  width.min = SIDEBAR_WIDTH_MIN;
+  width.max = SIDEBAR_WIDTH_MAX;
+  width.value = settings.sidebarWidth;
+  document.getElementById('set-sidebar-width-value').textContent = `${settings.sidebarWidth}px`;
+  document.getElementById('set-show-add-btn').checked = settings.showAddButton;
+  document.getElementById('set-auto-collapse').checked = settings.autoCollapse;
+
+  const listEl = document.getElementById('palette-list');
+  listEl.innerHTML = '';
+  markerColors.forEach((c, i) => {
+    const row = document.createElement('div');
+    row.className = 'palette-row';
+    row.innerHTML = `
+      <input type="color" value="${c.hex}" title="Shade">
+      <span class="palette-default">${esc(COLORS[i].label)}</span>
+      <input type="text" value="${esc(c.name)}" placeholder="Name (optional)" maxlength="24">
+    `;
+    const [hexInput, nameInput] = row.querySelectorAll('input');
+    const save = () => savePaletteColor(c.value, {
+      name: nameInput.value.trim(),
+      hex: hexInput.value === COLORS[i].hex ? '' : hexInput.value
+    });
+    hexInput.onchange = save;
+    nameInput.onchange = save;
+    listEl.appendChild(row);
+  });
+}
+
+/** Save settings, then redraw whatever shows colors on this page */
+async function saveAppearance(patch, message = '✅ Settings saved.') {
+  await saveSettings(patch);
+  await renderSettings();
+  renderNotes();
+  renderTagManager();
+  showToast(message);
+}
+
+async function savePaletteColor(value, custom) {
+  const palette = { ...(await loadSettings()).palette };
+  if (custom.name || custom.hex) palette[value] = custom; else delete palette[value];
+  await saveAppearance({ palette }, '✅ Colors updated.');
+}
+
+async function resetPalette() {
+  await saveAppearance({ palette: {} }, 'Colors reset to the defaults.');
+}
+
+// ── Keyboard shortcuts ──
+
+/** List the manifest commands with the keys currently assigned to them */
+async function renderShortcuts() {
+  const listEl = document.getElementById('shortcut-list');
+  const commands = await chrome.commands.getAll();
+  listEl.innerHTML = commands
+    .filter(c => c.description)
+    .map(c => `
+      <div class="storage-row">
+        <span class="storage-info">${esc(c.description)}</span>
+        <kbd>${c.shortcut ? esc(c.shortcut) : 'Not set'}</kbd>
+      </div>`).join('');
 }
 
 // ── Bind events ──
-document.getElementById('btn-refresh').onclick   = renderList;
+document.getElementById('storage-sort').onchange = renderList;
+document.getElementById('btn-refresh').onclick   = refreshAll;
 document.getElementById('btn-clear-all').onclick  = clearAll;
 document.getElementById('btn-export-all').onclick = exportAll;
+document.getElementById('btn-export-all-md').onclick   = () => exportAllReadable('markdown');
+document.getElementById('btn-export-all-html').onclick = () => exportAllReadable('html');
 document.getElementById('btn-import').onclick     = () => document.getElementById('import-file').click();
 document.getElementById('import-file').onchange   = importFile;
+document.getElementById('btn-import-apply').onclick  = applyPendingImport;
+document.getElementById('btn-import-cancel').onclick = closeImportPreview;
+document.getElementById('import-strategy').innerHTML = Object.entries(IMPORT_STRATEGIES)
+  .map(([value, label]) => `<option value="${value}">${esc(label)}</option>`).join('');
+document.getElementById('btn-empty-trash').onclick = emptyTrash;
+document.getElementById('btn-shortcuts').onclick = () => chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+document.getElementById('btn-sync-now').onclick = syncNowFromOptions;
+document.getElementById('set-snapshot-mode').innerHTML = Object.entries(SNAPSHOT_MODES)
+  .map(([value, label]) => `<option value="${value}">${esc(label)}</option>`).join('');
+document.getElementById('btn-snapshot-prune').onclick = pruneSnapshotsFromOptions;
+document.getElementById('insight-span').innerHTML = Object.entries(ACTIVITY_SPANS)
+  .map(([value, span]) => `<option value="${value}">${esc(span.label)}</option>`).join('');
+document.getElementById('insight-span').onchange = renderInsights;
+document.getElementById('sync-enabled').onchange = async (e) => {
+  await saveSettings({ syncEnabled: e.target.checked });
+  showToast(e.target.checked ? '✅ Sync turned on.' : 'Sync turned off.');
+  renderSync();
+};
+document.getElementById('btn-backup-now').onclick = createBackupFromOptions;
+document.getElementById('backup-interval').onchange = async (e) => {
+  await saveSettings({ backupIntervalHours: Number(e.target.value) });
+  showToast(Number(e.target.value) ? '✅ Backup schedule updated.' : 'Automatic restore points turned off.');
+};
+document.getElementById('backup-keep').onchange = async (e) => {
+  await saveSettings({ backupKeep: Number(e.target.value) });
+  showToast('✅ Updated. Older restore points are dropped when the next one is taken.');
+};
+document.getElementById('backup-download').onchange = async (e) => {
+  await saveSettings({ backupDownload: e.target.checked });
+  showToast(e.target.checked ? '✅ Restore points will also be downloaded.' : 'Restore points stay in the browser only.');
+};
+Object.entries(SETTING_INPUTS).forEach(([id, key]) => {
+  document.getElementById(id).onchange = e => {
+    const value = key === 'highlightDuration' ? Number(e.target.value) : e.target.value;
+    saveAppearance({ [key]: value });
+  };
+});
+document.getElementById('set-sidebar-width').oninput = e => {
+  document.getElementById('set-sidebar-width-value').textContent = `${e.target.value}px`;
+};
+document.getElementById('set-sidebar-width').onchange = e => saveAppearance({ sidebarWidth: Number(e.target.value) });
+document.getElementById('set-show-add-btn').onchange = e => saveAppearance({ showAddButton: e.target.checked });
+document.getElementById('set-auto-collapse').onchange = e => saveAppearance({ autoCollapse: e.target.checked });
+document.getElementById('btn-palette-reset').onclick = resetPalette;
+document.getElementById('trash-retention').onchange = async (e) => {
+  await saveSettings({ trashRetentionDays: Number(e.target.value) });
+  showToast('✅ Retention updated.');
+  renderTrash();
+};
+
+const debouncedRenderNotes = (() => {
+  let t;
+  return () => { clearTimeout(t); t = setTimeout(renderNotes, 150); };
+})();
+document.getElementById('notes-search').addEventListener('input', debouncedRenderNotes);
+document.getElementById('followup-undated').onchange = renderFollowUps;
+['notes-color', 'notes-tag', 'notes-role', 'notes-from', 'notes-to', 'notes-sort'].forEach(id =>
+  document.getElementById(id).addEventListener('change', renderNotes)
+);
+document.getElementById('btn-notes-reset').onclick = () => {
+  document.querySelectorAll('#notes-filters input, #notes-filters select').forEach(el => {
+    el.value = el.id === 'notes-sort' ? 'newest' : '';
+  });
+  renderNotes();
+};
 
 // Init
-renderList();
\ No newline at end of file
+renderSettings().then(refreshAll);
+renderShortcuts();
\ No newline at end of file
@@ -0,0 +1,117 @@
+/**
+ * Chat Markers - popup.js
+ * Toolbar popup: counts and notes of the conversation in the active tab, with
+ * quick actions sent to its content script like the keyboard commands.
+ */
+
+'use strict';
+
+let activeTab = null;
+
+/** Send a message to the content script in the active tab and close the popup */
+async function sendToTab(message) {
+  try {
+    await chrome.tabs.sendMessage(activeTab.id, message);
+    window.close();
+  } catch (e) {
+    // Tabs opened before the extension was installed or updated have no content script yet
+    document.getElementById('status').textContent = 'Reload this page to use Chat Markers on it.';
+  }
+}
+
+function countsHtml(items) {
+  return items.map(([n, label, cls = '']) =>
+    `<div class="count ${cls}"><b>${n}</b><span>${label}</span></div>`).join('');
+}
+
+function markerRowHtml(m, reply) {
+  const due = m.dueAt && markerStatus(m) !== 'done'
+    ? `<span class="${isFollowUpDue(m) ? 'overdue' : ''}">${esc(formatDue(m))}</span>` : '';
+  const meta = [
+    esc(colorInfo(m.color).label),
+    (m.tags || []).map(t => '#' + esc(t)).join(' '),
+    markerStatus(m) === 'open' ? '' : esc(MARKER_STATUSES[markerStatus(m)]),
+    due
+  ].filter(Boolean).join(' · ');
+  return `
+    <button class="marker-row${reply ? ' reply' : ''}${markerStatus(m) === 'done' ? ' done' : ''}" data-id="${esc(m.id)}">
+      <span class="dot" style="background: var(--color-${esc(m.color || 'yellow')})"></span>
+      <span class="marker-body">
+        <span class="marker-note">${esc(m.note.replace(/\s+/g, ' ')) || '<em>No text</em>'}</span>
+        <span class="marker-meta">${meta}</span>
+      </span>
+    </button>`;
+}
+
+/** The conversation in the active tab */
+function renderChat(key, entry) {
+  const { meta, markers } = entry;
+  const ids = new Set(markers.map(m => m.id));
+  const replies = markers.filter(m => isReply(m, ids)).length;
+  document.getElementById('chat-title').textContent = conversationLabel(meta, key);
+  document.getElementById('counts').innerHTML = countsHtml([
+    [markers.length - replies, 'notes'],
+    [replies, 'replies'],
+    [markers.filter(m => markerStatus(m) === 'done').length, 'done'],
+    [markers.filter(m => isFollowUpDue(m)).length, 'due', 'due']
+  ]);
+  const list = document.getElementById('marker-list');
+  if (markers.length === 0) {
+    list.innerHTML = '<div class="empty">No notes in this chat yet. Right-click a message and choose “Mark this message”, or use ＋ Add note.</div>';
+    return;
+  }
+  list.innerHTML = threadOrder(sortByMessageOrder(markers)).map(m => markerRowHtml(m, isReply(m, ids))).join('');
+  list.querySelectorAll('.marker-row').forEach(row => {
+    row.onclick = () => sendToTab({ type: 'cm-focus-marker', markerId: row.dataset.id });
+  });
+}
+
+/** Not on a supported chat page: totals across every conversation instead */
+function renderElsewhere(entries, onSite) {
+  const markers = entries.flatMap(e => e.markers);
+  document.getElementById('chat-title').textContent = onSite ? 'No conversation open' : 'Not a supported chat page';
+  document.getElementById('counts').innerHTML = countsHtml([
+    [entries.length, 'chats'],
+    [markers.length, 'notes'],
+    [markers.filter(m => isFollowUpDue(m)).length, 'due', 'due']
+  ]);
+  document.getElementById('marker-list').innerHTML =
+    '<div class="empty">Open a ChatGPT, Claude or Gemini conversation to see and add its notes here.</div>';
+  if (!onSite) document.querySelectorAll('[data-command]').forEach(btn => { btn.disabled = true; btn.style.opacity = '0.5'; });
+}
+
+async function renderPopup() {
+  const [[tab], all] = await Promise.all([
+    chrome.tabs.query({ active: true, currentWindow: true }),
+    chrome.storage.local.get(null)
+  ]);
+  activeTab = tab;
+  const settings = { ...DEFAULT_SETTINGS, ...(all[SETTINGS_KEY] || {}) };
+  const root = document.documentElement;
+  if (settings.theme === 'auto') delete root.dataset.cmTheme; else root.dataset.cmTheme = settings.theme;
+  applyPalette(settings.palette).forEach(c => root.style.setProperty(`--color-${c.value}`, c.hex));
+
+  const entries = Object.keys(all).filter(k => k.startsWith(MARKER_KEY_PREFIX))
+    .map(key => ({ key, ...normalizeEntry(all[key], key) }));
+  const chat = tab && tab.url && chatKeyForUrl(tab.url);
+  if (chat) {
+    renderChat(chat.key, normalizeEntry(all[chat.key], chat.key));
+    const total = entries.reduce((n, e) => n + e.markers.length, 0);
+    document.getElementById('footer').textContent =
+      `${total} note${total === 1 ? '' : 's'} across ${entries.length} conversation${entries.length === 1 ? '' : 's'}`;
+  } else {
+    let onSite = false;
+    try { onSite = !!adapterForHost(new URL(tab.url).hostname); } catch (e) { /* no URL access */ }
+    renderElsewhere(entries, onSite);
+  }
+}
+
+document.querySelectorAll('[data-command]').forEach(btn => {
+  btn.onclick = () => sendToTab({ type: 'cm-command', command: btn.dataset.command });
+});
+document.getElementById('btn-options').onclick = () => {
+  chrome.runtime.openOptionsPage();
+  window.close();
+};
+
+renderPopup();
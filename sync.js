@@ -0,0 +1,310 @@
+/**
+ * Chat Markers - sync.js
+ * Optional cross-device sync through chrome.storage.sync, run by background.js.
+ *
+ * Each conversation is stored remotely as JSON split into chunks that fit the
+ * per-item quota:
+ *   cm_sync::<chat-id>      → { n, h }   chunk count and content hash
+ *   cm_sync::<chat-id>#<i>  → string slice of { schemaVersion, meta, markers, tombstones }
+ *
+ * Deletions travel as tombstones (`{ markerId: deletedAt }`). `cm_sync_base`
+ * remembers each marker's `updatedAt` as of the last merge on this device, so a
+ * marker missing locally can be told apart from one that is new remotely, and a
+ * marker edited on both sides since then is reported as a conflict.
+ *
+ * A run writes everything in one `set` (plus one `remove`) and only what fits
+ * the sync area's byte and item quotas; after a quota error, or when the write
+ * rate quotas are used up, remote writes wait (`retryAt` in cm_sync_state).
+ */
+'use strict';
+
+const SYNC_PREFIX = 'cm_sync::';
+const SYNC_BASE_KEY = 'cm_sync_base';
+const SYNC_STATE_KEY = 'cm_sync_state';
+const SYNC_CONFLICTS_KEY = 'cm_sync_conflicts';
+const TOMBSTONE_TTL_DAYS = 90;
+const CHUNK_CHARS = 6000;
+const SYNC_RETRY_MS = 60 * 1000; // wait after a quota error before writing again
+
+function markerStamp(m) {
+  return m.updatedAt || m.createdAt || '';
+}
+
+// ── Remote encoding ──
+
+function syncKeyFor(chatKey) {
+  return SYNC_PREFIX + chatKey.slice(MARKER_KEY_PREFIX.length);
+}
+
+function chatKeyForSync(syncKey) {
+  return MARKER_KEY_PREFIX + syncKey.slice(SYNC_PREFIX.length);
+}
+
+/** Split JSON into slices whose stored size stays under the per-item quota */
+function chunkJson(json, syncKey) {
+  const limit = chrome.storage.sync.QUOTA_BYTES_PER_ITEM - 64;
+  const chunks = [];
+  let pos = 0;
+  while (pos < json.length) {
+    let size = CHUNK_CHARS;
+    let piece = json.slice(pos, pos + size);
+    while (byteLength(`${syncKey}#${chunks.length}`) + byteLength(JSON.stringify(piece)) > limit) {
+      size = Math.floor(size / 2);
+      piece = json.slice(pos, pos + size);
+    }
+    chunks.push(piece);
+    pos += size;
+  }
+  return chunks;
+}
+
+/** Reassemble every remote conversation: Map<chatKey, { payload, n, h }> */
+function decodeRemote(items) {
+  const remote = new Map();
+  Object.entries(items).forEach(([key, head]) => {
+    if (!key.startsWith(SYNC_PREFIX) || key.includes('#') || !head) return;
+    const parts = [];
+    for (let i = 0; i < head.n; i++) {
+      const part = items[`${key}#${i}`];
+      if (typeof part !== 'string') return; // partially written; pick it up next time
+      parts.push(part);
+    }
+    try {
+      const payload = JSON.parse(parts.join(''));
+      // Payloads written before schemaVersion was included are v3
+      payload.markers = migrateSchema({ schemaVersion: payload.schemaVersion || 3, markers: payload.markers || [] }).markers;
+      remote.set(chatKeyForSync(key), { payload, n: head.n, h: head.h });
+    } catch (e) {
+      console.warn('[ChatMarkers] Skipping unreadable synced entry', key, e);
+    }
+  });
+  return remote;
+}
+
+/** The remote items for one conversation: its head and chunks */
+function encodeRemote(chatKey, payload) {
+  const syncKey = syncKeyFor(chatKey);
+  const json = JSON.stringify(payload);
+  const chunks = chunkJson(json, syncKey);
+  const items = { [syncKey]: { n: chunks.length, h: hashString(json) } };
+  chunks.forEach((c, i) => { items[`${syncKey}#${i}`] = c; });
+  return items;
+}
+
+/** Keys of a conversation's stored remote items */
+function remoteKeys(chatKey, previous) {
+  const syncKey = syncKeyFor(chatKey);
+  const keys = [syncKey];
+  for (let i = 0; i < previous.n; i++) keys.push(`${syncKey}#${i}`);
+  return keys;
+}
+
+/** Bytes an item takes in chrome.storage.sync */
+function syncItemBytes(key, value) {
+  return byteLength(key) + byteLength(JSON.stringify(value));
+}
+
+// ── Write quotas ──
+
+let syncWriteTimes = []; // recent remote write operations, for the per-minute and per-hour quotas
+let syncRetryAt = 0;     // no remote writes before this time (ms)
+
+/** When `ops` more write operations fit the rate quotas: now, or the time a slot frees up */
+function nextWriteSlot(ops, nowMs) {
+  const HOUR_MS = 60 * 60 * 1000;
+  const perMinute = chrome.storage.sync.MAX_WRITE_OPERATIONS_PER_MINUTE || 120;
+  const perHour = chrome.storage.sync.MAX_WRITE_OPERATIONS_PER_HOUR || 1800;
+  syncWriteTimes = syncWriteTimes.filter(t => nowMs - t < HOUR_MS);
+  const lastMinute = syncWriteTimes.filter(t => nowMs - t < 60 * 1000);
+  let slot = nowMs;
+  if (lastMinute.length + ops > perMinute) slot = Math.max(slot, lastMinute[lastMinute.length + ops - perMinute - 1] + 60 * 1000);
+  if (syncWriteTimes.length + ops > perHour) slot = Math.max(slot, syncWriteTimes[syncWriteTimes.length + ops - perHour - 1] + HOUR_MS);
+  return slot;
+}
+
+// ── Merging ──
+
+function mergeSyncedMeta(local, remote) {
+  if (!remote) return local;
+  const newer = (remote.lastVisited || '') > (local.lastVisited || '') ? remote : local;
+  const older = newer === local ? remote : local;
+  const firstSeen = [local.firstSeen, remote.firstSeen].filter(Boolean).sort()[0] || null;
+  return { ...older, ...Object.fromEntries(Object.entries(newer).filter(([, v]) => v != null)), firstSeen };
+}
+
+/**
+ * Merge one conversation. `base` maps marker id → updatedAt at the last merge.
+ * Returns `{ markers, tombstones, conflicts }`; conflicting markers keep the newer
+ * version and report both so the user can choose.
+ */
+function mergeMarkers(localMarkers, remotePayload, base, now) {
+  const local = new Map(localMarkers.map(m => [m.id, m]));
+  const remote = new Map(((remotePayload && remotePayload.markers) || []).map(m => [m.id, m]));
+  const tombstones = { ...((remotePayload && remotePayload.tombstones) || {}) };
+
+  // Synced before but gone locally: deleted on this device
+  Object.keys(base).forEach(id => {
+    if (!local.has(id) && !tombstones[id]) tombstones[id] = now;
+  });
+
+  const markers = [];
+  const conflicts = [];
+  new Set([...local.keys(), ...remote.keys()]).forEach(id => {
+    const l = local.get(id);
+    const r = remote.get(id);
+    let winner = l || r;
+    if (l && r) {
+      winner = markerStamp(l) >= markerStamp(r) ? l : r;
+      const since = base[id];
+      if (since && markerStamp(l) > since && markerStamp(r) > since && stableStringify(l) !== stableStringify(r)) {
+        conflicts.push({ markerId: id, local: l, remote: r });
+      }
+    }
+    const deletedAt = tombstones[id];
+    // A deletion wins unless the marker was edited after it, or was restored
+    // here (undo, trash) after the deletion last synced
+    const restoredHere = l && !(id in base);
+    if (deletedAt && !restoredHere && markerStamp(winner) <= deletedAt) return;
+    delete tombstones[id];
+    markers.push(winner);
+  });
+
+  const cutoff = new Date(Date.now() - TOMBSTONE_TTL_DAYS * DAY_MS).toISOString();
+  Object.keys(tombstones).forEach(id => { if (tombstones[id] < cutoff) delete tombstones[id]; });
+  return { markers, tombstones, conflicts };
+}
+
+// ── Sync run ──
+
+let syncRunning = null;
+let syncAgain = false;
+
+/** Merge every conversation with chrome.storage.sync; no-op unless sync is enabled */
+async function syncNow() {
+  if (syncRunning) { syncAgain = true; return syncRunning; }
+  syncRunning = runSync().finally(() => {
+    syncRunning = null;
+    if (syncAgain) { syncAgain = false; syncNow(); }
+  });
+  return syncRunning;
+}
+
+let syncRetryTimer = null;
+
+/** Run again once remote writes are allowed; the periodic alarm covers a worker that sleeps first */
+function retrySyncLater() {
+  clearTimeout(syncRetryTimer);
+  syncRetryTimer = setTimeout(() => syncNow().catch(e => console.error('[ChatMarkers] Sync error:', e)),
+    Math.max(0, syncRetryAt - Date.now()));
+}
+
+async function runSync() {
+  const settings = await loadSettings();
+  if (!settings.syncEnabled) return { enabled: false };
+
+  const now = new Date().toISOString();
+  const [localAll, remoteItems] = await Promise.all([
+    chrome.storage.local.get(null), chrome.storage.sync.get(null)
+  ]);
+  const remote = decodeRemote(remoteItems);
+  const base = localAll[SYNC_BASE_KEY] || {};
+  const conflicts = (localAll[SYNC_CONFLICTS_KEY] && localAll[SYNC_CONFLICTS_KEY].items) || [];
+  const state = { lastSyncAt: now, lastError: null, skipped: [] };
+
+  const chatKeys = new Set([
+    ...Object.keys(localAll).filter(k => k.startsWith(MARKER_KEY_PREFIX)),
+    ...remote.keys()
+  ]);
+  // Most recently visited first, so the quota is spent on the conversations in use
+  const ordered = [...chatKeys].map(key => ({ key, entry: normalizeEntry(localAll[key], key) }))
+    .sort((a, b) => (b.entry.meta.lastVisited || '').localeCompare(a.entry.meta.lastVisited || ''));
+
+  // What the sync area holds now; conversations are only rewritten while their new items fit
+  const maxItems = chrome.storage.sync.MAX_ITEMS || 512;
+  let itemCount = Object.keys(remoteItems).length;
+  let bytes = Object.entries(remoteItems).reduce((sum, [k, v]) => sum + syncItemBytes(k, v), 0);
+
+  const localWrites = {};
+  const remoteWrites = {};
+  const removals = [];
+  const written = {}; // chat key → base to record once the remote write succeeds
+  const cleared = {};  // the same for conversations whose remote copy is removed
+  for (const { key, entry } of ordered) {
+    const rem = remote.get(key);
+    const merged = mergeMarkers(entry.markers, rem && rem.payload, base[key] || {}, now);
+    const meta = mergeSyncedMeta(entry.meta, rem && rem.payload && rem.payload.meta);
+
+    merged.conflicts.forEach(c => {
+      const i = conflicts.findIndex(x => x.key === key && x.markerId === c.markerId);
+      const item = { id: `${key}|${c.markerId}`, key, meta, detectedAt: now, ...c };
+      if (i === -1) conflicts.push(item); else conflicts[i] = item;
+    });
+
+    const exists = localAll[key] !== undefined || merged.markers.length > 0;
+    const localChanged = stableStringify(entry.markers) !== stableStringify(merged.markers)
+      || stableStringify(entry.meta) !== stableStringify(meta);
+    if (exists && localChanged) localWrites[key] = { ...entry, schemaVersion: SCHEMA_VERSION, meta, markers: merged.markers };
+
+    const markerBase = Object.fromEntries(merged.markers.map(m => [m.id, markerStamp(m)]));
+    const oldKeys = rem ? remoteKeys(key, rem) : [];
+    if (merged.markers.length === 0 && Object.keys(merged.tombstones).length === 0) {
+      removals.push(...oldKeys);
+      cleared[key] = markerBase;
+      continue;
+    }
+    const items = encodeRemote(key, { schemaVersion: SCHEMA_VERSION, meta, markers: merged.markers, tombstones: merged.tombstones });
+    if (rem && rem.h === items[syncKeyFor(key)].h) { base[key] = markerBase; continue; }
+    // Items it replaces are freed now; a shorter tail is only removed after the write, so it still counts
+    const replaced = Object.keys(items).filter(k => k in remoteItems);
+    const addedItems = Object.keys(items).length - replaced.length;
+    const addedBytes = Object.entries(items).reduce((sum, [k, v]) => sum + syncItemBytes(k, v), 0)
+      - replaced.reduce((sum, k) => sum + syncItemBytes(k, remoteItems[k]), 0);
+    if (itemCount + addedItems > maxItems || bytes + addedBytes > chrome.storage.sync.QUOTA_BYTES) {
+      // Does not fit: leave this conversation local-only for now
+      state.skipped.push(key);
+      continue;
+    }
+    itemCount += addedItems;
+    bytes += addedBytes;
+    Object.assign(remoteWrites, items);
+    removals.push(...oldKeys.filter(k => !(k in items)));
+    written[key] = markerBase;
+  }
+
+  const ops = (Object.keys(remoteWrites).length > 0 ? 1 : 0) + (removals.length > 0 ? 1 : 0);
+  const slot = ops > 0 ? Math.max(syncRetryAt, nextWriteSlot(ops, Date.now())) : 0;
+  if (slot > Date.now()) {
+    syncRetryAt = slot;
+    state.retryAt = new Date(slot).toISOString();
+    retrySyncLater();
+  } else if (ops > 0) {
+    try {
+      if (Object.keys(remoteWrites).length > 0) {
+        syncWriteTimes.push(Date.now());
+        await chrome.storage.sync.set(remoteWrites);
+      }
+      Object.assign(base, written);
+      if (removals.length > 0) {
+        syncWriteTimes.push(Date.now());
+        await chrome.storage.sync.remove(removals);
+      }
+      Object.assign(base, cleared);
+    } catch (e) {
+      // A quota error: write nothing more for a while rather than failing again on every change
+      state.lastError = e.message || String(e);
+      syncRetryAt = Date.now() + SYNC_RETRY_MS;
+      state.retryAt = new Date(syncRetryAt).toISOString();
+      retrySyncLater();
+    }
+  } else {
+    Object.assign(base, written, cleared);
+  }
+
+  await chrome.storage.local.set({
+    ...localWrites,
+    [SYNC_BASE_KEY]: base,
+    [SYNC_CONFLICTS_KEY]: { items: conflicts },
+    [SYNC_STATE_KEY]: state
+  });
+  return { enabled: true, ...state, conflicts: conflicts.length };
+}
@@ -0,0 +1,149 @@
+/**
+ * Chat Markers - anchoring tests
+ * Runs the content scripts on the fixture conversation in test/fixtures/ and
+ * checks that a marker finds its message again after a reload, an edit or a
+ * regenerated answer.
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./load-page');
+
+async function openConversation(t, options) {
+  const window = await loadPage('conversation.html', options);
+  t.after(() => window.close());
+  return window;
+}
+
+function messageElements(window) {
+  return Array.from(window.document.querySelectorAll('[data-message-author-role]'));
+}
+
+/** A marker's msgRef for the message at `index`, taken the way the note button takes it */
+function refAt(window, index) {
+  return window.msgRefFrom(window.discoverMessages()[index]);
+}
+
+/** Replace the message at `index` with a freshly rendered one, as the site does after an edit or a regeneration */
+function rerender(window, index, { messageId, role, text }) {
+  const { document } = window;
+  const old = messageElements(window)[index];
+  const el = document.createElement('div');
+  el.setAttribute('data-message-author-role', role || old.getAttribute('data-message-author-role'));
+  if (messageId) el.setAttribute('data-message-id', messageId);
+  const body = document.createElement('div');
+  body.className = 'markdown prose';
+  const paragraph = document.createElement('p');
+  paragraph.textContent = text ?? window.getMessageText(old);
+  body.appendChild(paragraph);
+  el.appendChild(body);
+  old.replaceWith(el);
+}
+
+function match(window, ref) {
+  const { msg, confidence } = window.matchMessage(ref, window.discoverMessages());
+  return { index: msg ? msg.index : null, confidence };
+}
+
+test('message text is read across inline markup and leaves out the note buttons', async t => {
+  const window = await openConversation(t);
+  const answer = messageElements(window)[1];
+  assert.ok(answer.querySelector('.cm-add-note-btn'));
+  assert.equal(window.getMessageText(answer),
+    'Use the csv module with a file iterator, or pandas with the chunksize argument. Reading row by row keeps memory flat: ' +
+    'open the file, wrap it in csv.reader and process each row as it arrives. With pandas, pd.read_csv(path, chunksize=10000) ' +
+    'returns an iterator of DataFrames, so you can aggregate chunk by chunk and only keep the running totals. For very wide ' +
+    'files, pass usecols to read just the columns you need.');
+});
+
+test('a message id links exactly, whatever the text', async t => {
+  const window = await openConversation(t);
+  const ref = refAt(window, 3);
+  rerender(window, 3, { messageId: 'a2', text: 'Completely different text after the site re-rendered it.' });
+  assert.deepEqual(match(window, ref), { index: 3, confidence: 'exact' });
+});
+
+test('unchanged text links with high confidence after a reload when ids are unavailable', async t => {
+  const ref = refAt(await openConversation(t, { withoutIds: true }), 1);
+  assert.equal(ref.messageId, undefined);
+  assert.deepEqual(match(await openConversation(t, { withoutIds: true }), ref), { index: 1, confidence: 'high' });
+});
+
+test('an edited question keeps its note', async t => {
+  const window = await openConversation(t);
+  const ref = refAt(window, 2);
+  rerender(window, 2, { messageId: 'u2-edited', text: 'What about writing the results back out to a new CSV file as I go?' });
+  assert.deepEqual(match(window, ref), { index: 2, confidence: 'high' });
+});
+
+test('a regenerated answer with a few words changed links with high confidence', async t => {
+  const window = await openConversation(t);
+  const ref = refAt(window, 1);
+  const text = window.getMessageText(messageElements(window)[1])
+    .replace('with a file iterator', 'with a plain file iterator')
+    .replace('only keep the running totals', 'only keep running totals in memory');
+  rerender(window, 1, { messageId: 'a1-regenerated', text });
+  assert.deepEqual(match(window, ref), { index: 1, confidence: 'high' });
+});
+
+test('a regenerated answer that was largely rewritten is only a low-confidence candidate', async t => {
+  const window = await openConversation(t);
+  const ref = refAt(window, 1);
+  rerender(window, 1, {
+    messageId: 'a1-regenerated',
+    text: 'Use the csv module with a file iterator, or pandas with the chunksize argument. Reading row by row keeps ' +
+      'memory flat: open the file, wrap it in csv.reader and handle each row. Alternatively load the file into SQLite and query it there.'
+  });
+  assert.deepEqual(match(window, ref), { index: 1, confidence: 'low' });
+});
+
+test('a regenerated answer with different content is reported missing', async t => {
+  const window = await openConversation(t);
+  const ref = refAt(window, 1);
+  rerender(window, 1, {
+    messageId: 'a1-regenerated',
+    text: 'Try a generator: yield one parsed line at a time from a with-block and sum as you go. Databases such as ' +
+      'SQLite can also import the file and answer queries without Python holding the data.'
+  });
+  assert.deepEqual(match(window, ref), { index: null, confidence: null });
+});
+
+test('a deleted message is reported missing', async t => {
+  const window = await openConversation(t);
+  const ref = refAt(window, 3);
+  messageElements(window).slice(2, 4).forEach(el => el.closest('article').remove());
+  assert.deepEqual(match(window, ref), { index: null, confidence: null });
+});
+
+test('identical answers are ambiguous and resolved towards the stored position', async t => {
+  const window = await openConversation(t, { withoutIds: true });
+  const ref = refAt(window, 7);
+  assert.deepEqual(match(window, ref), { index: 7, confidence: 'low' });
+  assert.deepEqual(match(window, { ...ref, indexHint: 5 }), { index: 5, confidence: 'low' });
+});
+
+test('matches stay within the role of the marked message', async t => {
+  const window = await openConversation(t, { withoutIds: true });
+  const ref = refAt(window, 4);
+  rerender(window, 4, { role: 'assistant' });
+  rerender(window, 6, { role: 'assistant' });
+  assert.deepEqual(match(window, ref), { index: null, confidence: null });
+});
+
+test('legacy refs with only a snippet and hash still link', async t => {
+  const window = await openConversation(t, { withoutIds: true });
+  const { role, hash, snippet, indexHint } = refAt(window, 3);
+  assert.deepEqual(match(window, { role, hash, snippet, indexHint }), { index: 3, confidence: 'high' });
+});
+
+test('long messages are fingerprinted by head and tail', async t => {
+  const window = await openConversation(t);
+  const body = 'word '.repeat(400);
+  rerender(window, 1, { messageId: 'a1', text: 'Opening line. ' + body + 'First ending.' });
+  rerender(window, 3, { messageId: 'a2', text: 'Opening line. ' + body + 'Second ending.' });
+  const [, a, , b] = window.discoverMessages();
+  assert.ok(a.fingerprint.length < window.getMessageText(a.el).length);
+  assert.notEqual(a.fingerprint, b.fingerprint);
+  assert.equal(a.hash, b.hash);
+});
@@ -0,0 +1,55 @@
+/**
+ * Chat Markers - restore point tests
+ * createBackup against an in-memory chrome.storage.local with a small quota.
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCommon } = require('./load-common');
+
+const MB = 1024 * 1024;
+
+/** chrome.storage.local holding `data`; bytes in use are counted as JSON, like Chrome does */
+function fakeLocalStorage(data, quota) {
+  const keysOf = keys => (keys == null ? Object.keys(data) : [].concat(keys)).filter(k => k in data);
+  return {
+    QUOTA_BYTES: quota,
+    get: async keys => JSON.parse(JSON.stringify(Object.fromEntries(keysOf(keys).map(k => [k, data[k]])))),
+    set: async items => { Object.assign(data, JSON.parse(JSON.stringify(items))); },
+    getBytesInUse: async keys => keysOf(keys).reduce((n, k) => n + k.length + JSON.stringify(data[k]).length, 0)
+  };
+}
+
+function conversation(noteBytes) {
+  return { markers: [{ id: 'cm-1', note: 'x'.repeat(noteBytes), createdAt: '2025-01-01T10:00:00.000Z' }] };
+}
+
+function restorePoint(id, bytes) {
+  return { id, createdAt: '2025-01-01T10:00:00.000Z', reason: 'auto', hash: id, data: { 'chat_markers::old': conversation(bytes) } };
+}
+
+function setup(data, quota) {
+  const { createBackup } = loadCommon(['backup.js'], { chrome: { storage: { local: fakeLocalStorage(data, quota) } } });
+  return createBackup;
+}
+
+test('a restore point too large for the budget leaves the stored ones alone', async () => {
+  const backups = { items: [restorePoint('backup-2', 1000), restorePoint('backup-1', 1000)] };
+  // 3 MB quota - 0.6 MB of notes - 2 MB headroom leaves 0.4 MB for restore points
+  const data = { 'chat_markers::abc123': conversation(0.6 * MB), cm_backups: JSON.parse(JSON.stringify(backups)) };
+  const item = await setup(data, 3 * MB)('manual');
+  assert.equal(item.kept, false);
+  assert.deepEqual(data.cm_backups, backups);
+});
+
+test('the oldest restore points make room for a new one that fits', async () => {
+  // 3 MB quota - 0.1 MB of notes - 2 MB headroom leaves 0.9 MB for restore points
+  const data = {
+    'chat_markers::abc123': conversation(0.1 * MB),
+    cm_backups: { items: [restorePoint('backup-3', 0.3 * MB), restorePoint('backup-2', 0.3 * MB), restorePoint('backup-1', 0.3 * MB)] }
+  };
+  const item = await setup(data, 3 * MB)('manual');
+  assert.equal(item.kept, true);
+  assert.deepEqual(data.cm_backups.items.map(b => b.id), [item.id, 'backup-3', 'backup-2']);
+});
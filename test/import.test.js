@@ -0,0 +1,82 @@
+/**
+ * Chat Markers - import planning tests
+ * How planImport labels imported markers against the stored ones, and how
+ * applyImport merges them.
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCommon } = require('./load-common');
+
+const { planImport, applyImport } = loadCommon();
+
+function marker(fields) {
+  return {
+    id: 'cm-1', note: 'Check the chunk size', tags: ['perf'], color: 'yellow',
+    msgRef: { role: 'assistant', hash: 'abc', snippet: 'Use the csv module', indexHint: 1 },
+    createdAt: '2026-01-01T10:00:00.000Z', updatedAt: '2026-01-02T10:00:00.000Z',
+    ...fields
+  };
+}
+
+const statuses = plan => Array.from(plan, item => item.status);
+
+test('a new id is new, the same marker is unchanged', () => {
+  assert.deepEqual(statuses(planImport([marker({ id: 'cm-2' }), marker()], [marker()])), ['new', 'unchanged']);
+});
+
+test('refreshed anchoring data with the same edit time is unchanged', () => {
+  const refreshed = marker({ msgRef: { role: 'assistant', hash: 'abc', snippet: 'Use the csv module', indexHint: 3, messageId: 'a1' } });
+  assert.deepEqual(statuses(planImport([refreshed], [marker()])), ['unchanged']);
+});
+
+test('a newer copy is updated, an older one is a conflict', () => {
+  const newer = marker({ note: 'Newer', updatedAt: '2026-01-03T10:00:00.000Z' });
+  const older = marker({ note: 'Older', updatedAt: '2026-01-01T12:00:00.000Z' });
+  assert.deepEqual(statuses(planImport([newer], [marker()])), ['updated']);
+  assert.deepEqual(statuses(planImport([older], [marker()])), ['conflict']);
+});
+
+test('different content with the same edit time is a conflict', () => {
+  assert.deepEqual(statuses(planImport([marker({ note: 'Edited elsewhere' })], [marker()])), ['conflict']);
+  assert.deepEqual(statuses(planImport([marker({ tags: ['other'] })], [marker()])), ['conflict']);
+  assert.deepEqual(statuses(planImport([marker({ color: 'red' })], [marker()])), ['conflict']);
+});
+
+test('a repeated id in the file is compared with its earlier copy', () => {
+  assert.deepEqual(statuses(planImport([marker(), marker()], [])), ['new', 'unchanged']);
+  const later = marker({ note: 'Later', updatedAt: '2026-01-05T10:00:00.000Z' });
+  assert.deepEqual(statuses(planImport([marker(), later], [])), ['new', 'updated']);
+  assert.deepEqual(statuses(planImport([marker(), marker({ note: 'Same time' })], [])), ['new', 'conflict']);
+});
+
+test('invalid records are reported', () => {
+  const [item] = planImport([{ id: 'cm-3', note: 7 }], []);
+  assert.equal(item.status, 'invalid');
+  assert.deepEqual([...item.errors], ['note must be text', 'missing message reference']);
+});
+
+test('tags are normalized one by one, commas included', () => {
+  const [item] = planImport([marker({ tags: [' Perf ', 'To do, later', 'perf'] })], []);
+  assert.deepEqual([...item.marker.tags], ['perf', 'to do, later']);
+});
+
+test('keep both points copied replies at the copy of their parent', () => {
+  const parent = marker();
+  const reply = marker({ id: 'cm-2', parentId: 'cm-1', note: 'Try 10000 first' });
+  const edited = fields => ({ ...fields, updatedAt: '2026-01-03T10:00:00.000Z' });
+  const incoming = [marker(edited({ note: 'Check the chunk size again' })), { ...reply, ...edited({ note: 'Try 50000' }) }];
+
+  const { markers, added } = applyImport([parent, reply], planImport(incoming, [parent, reply]), 'keep-both');
+  const [, , parentCopy, replyCopy] = markers;
+  assert.equal(added, 2);
+  assert.notEqual(parentCopy.id, 'cm-1');
+  assert.notEqual(replyCopy.id, 'cm-2');
+  assert.equal(replyCopy.parentId, parentCopy.id);
+  assert.equal(markers[1].parentId, 'cm-1');
+
+  // A reply copied without its parent stays in the original thread
+  const { markers: [, , onlyReplyCopy] } = applyImport([parent, reply], planImport(incoming.slice(1), [parent, reply]), 'keep-both');
+  assert.equal(onlyReplyCopy.parentId, 'cm-1');
+});
@@ -0,0 +1,21 @@
+/**
+ * Chat Markers - test helper
+ * Loads common.js the way the extension pages do (a plain script in one global
+ * scope), followed by any of the scripts that build on it, and returns that scope.
+ * `globals` adds to the scope, e.g. a chrome stub.
+ */
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+function loadCommon(scripts = [], globals = {}) {
+  const context = vm.createContext({ TextEncoder, TextDecoder, Blob, CompressionStream, DecompressionStream, atob, btoa, ...globals });
+  for (const file of ['common.js', ...scripts]) {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context);
+  }
+  return context;
+}
+
+module.exports = { loadCommon };
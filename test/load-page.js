@@ -0,0 +1,78 @@
+/**
+ * Chat Markers - test helper
+ * Opens a fixture page in jsdom and runs the content scripts listed in
+ * manifest.json on it, in order and in one global scope, the way the browser
+ * injects them. chrome.* is reduced to an empty storage area.
+ */
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const CONTENT_SCRIPTS = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8')).content_scripts[0].js;
+
+function fakeStorageArea() {
+  const data = {};
+  const keysOf = keys => (keys == null ? Object.keys(data) : typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys));
+  const pick = keys => JSON.parse(JSON.stringify(Object.fromEntries(keysOf(keys).filter(k => k in data).map(k => [k, data[k]]))));
+  return {
+    get: async keys => pick(keys),
+    set: async items => { Object.assign(data, JSON.parse(JSON.stringify(items))); },
+    remove: async keys => { [].concat(keys).forEach(k => delete data[k]); },
+    getBytesInUse: async keys => JSON.stringify(pick(keys)).length,
+    QUOTA_BYTES: 10485760
+  };
+}
+
+function fakeChrome() {
+  const event = { addListener() {}, removeListener() {} };
+  return {
+    runtime: { id: 'test', onMessage: event, sendMessage: async () => {}, getURL: p => `chrome-extension://test/${p}` },
+    storage: { local: fakeStorageArea(), sync: fakeStorageArea(), onChanged: event }
+  };
+}
+
+/**
+ * Load `test/fixtures/<fixture>` at `url` and wait until the content scripts
+ * have started. `withoutIds` drops every data-message-id first, as on sites
+ * that don't render them. Resolves to the page's window; close it when done.
+ */
+async function loadPage(fixture, { url = 'https://chatgpt.com/c/fixture-conversation', withoutIds = false } = {}) {
+  const errors = [];
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('jsdomError', error => errors.push(error));
+
+  const { window } = new JSDOM(fs.readFileSync(path.join(__dirname, 'fixtures', fixture), 'utf8'), {
+    url,
+    runScripts: 'dangerously',
+    pretendToBeVisual: true,
+    virtualConsole,
+    beforeParse(window) {
+      window.chrome = fakeChrome();
+      window.ResizeObserver = class { observe() {} unobserve() {} disconnect() {} };
+      window.Element.prototype.scrollIntoView = function () {};
+      // jsdom has no CSS namespace; identifiers in the fixtures only need this much escaping
+      window.CSS = { escape: value => String(value).replace(/[^\w-]/g, '\\$&') };
+    }
+  });
+  const { document } = window;
+  if (withoutIds) document.querySelectorAll('[data-message-id]').forEach(el => el.removeAttribute('data-message-id'));
+
+  for (const file of CONTENT_SCRIPTS) {
+    const script = document.createElement('script');
+    script.textContent = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    document.head.appendChild(script);
+  }
+  if (document.readyState !== 'complete') await new Promise(resolve => window.addEventListener('load', resolve));
+  await new Promise(resolve => setTimeout(resolve, 0));
+
+  if (errors.length) {
+    window.close();
+    throw errors[0].detail || errors[0];
+  }
+  return window;
+}
+
+module.exports = { loadPage };
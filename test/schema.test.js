@@ -0,0 +1,41 @@
+/**
+ * Chat Markers - schema migration tests
+ * Old stored entries and trash items read as the current schema.
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCommon } = require('./load-common');
+
+const { normalizeEntry, migrateTrashItem } = loadCommon();
+const SCHEMA_VERSION = normalizeEntry(null).schemaVersion;
+
+const plain = value => JSON.parse(JSON.stringify(value));
+
+const v3Marker = {
+  id: 'cm-1', note: 'Check this', tag: 'Important, follow up', color: 'red',
+  msgRef: { role: 'assistant', hash: 'abc', snippet: 'Use the csv module' }, createdAt: '2025-01-01T10:00:00.000Z'
+};
+
+test('a v1 array gets message hashes, metadata and tags', () => {
+  const entry = plain(normalizeEntry([{ ...v3Marker, msgRef: { role: 'user', snippet: 'Hello' } }], 'chat_markers::abc123'));
+  assert.equal(entry.schemaVersion, SCHEMA_VERSION);
+  assert.equal(entry.meta.url, 'https://chatgpt.com/c/abc123');
+  assert.equal(typeof entry.markers[0].msgRef.hash, 'string');
+  assert.deepEqual(entry.markers[0].tags, ['important', 'follow up']);
+  assert.equal('tag' in entry.markers[0], false);
+});
+
+test('trash items from before v4 get their tags migrated', () => {
+  const item = plain(migrateTrashItem({ id: 'trash-1', type: 'marker', key: 'chat_markers::abc123', markers: [v3Marker], deletedAt: '2025-02-01T00:00:00.000Z' }));
+  assert.equal(item.schemaVersion, SCHEMA_VERSION);
+  assert.deepEqual(item.markers[0].tags, ['important', 'follow up']);
+  assert.equal('tag' in item.markers[0], false);
+  assert.equal(item.markers[0].note, 'Check this');
+});
+
+test('current trash items are left as they are', () => {
+  const item = { id: 'trash-2', type: 'marker', key: 'chat_markers::abc123', markers: [{ ...v3Marker, tag: undefined, tags: ['x'] }], schemaVersion: SCHEMA_VERSION };
+  assert.equal(migrateTrashItem(item), item);
+});
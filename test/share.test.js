@@ -0,0 +1,42 @@
+/**
+ * Chat Markers - share bundle tests
+ * Bundles round-trip, and untrusted ones cannot inflate without limit.
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCommon } = require('./load-common');
+
+const { encodeShareBundle, decodeShareBundle, toBase64Url } = loadCommon();
+
+const marker = {
+  id: 'cm-1', note: 'Check the chunk size', tags: ['perf'], color: 'yellow', dueAt: '2026-02-01T00:00:00.000Z',
+  msgRef: { role: 'assistant', hash: 'abc', snippet: 'Use the csv module', indexHint: 1 },
+  createdAt: '2026-01-01T10:00:00.000Z'
+};
+
+async function deflate(text) {
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  return toBase64Url(new Uint8Array(await new Response(stream).arrayBuffer()));
+}
+
+test('a bundle round-trips without private follow-up fields', async () => {
+  const code = await encodeShareBundle({ title: 'CSV help' }, [marker]);
+  const bundle = await decodeShareBundle(`https://chatgpt.com/c/abc#cm-share=${code}`);
+  assert.equal(bundle.title, 'CSV help');
+  assert.equal(bundle.markers.length, 1);
+  assert.equal(bundle.markers[0].note, marker.note);
+  assert.equal('dueAt' in bundle.markers[0], false);
+});
+
+test('a bundle that inflates past the limit is refused', async () => {
+  const code = await deflate(' '.repeat(8 * 1024 * 1024));
+  assert.ok(code.length < 20000);
+  await assert.rejects(decodeShareBundle(code), /too much data/);
+});
+
+test('text that is not a bundle is refused', async () => {
+  await assert.rejects(decodeShareBundle('not a bundle!'), /not a Chat Markers share link/);
+  await assert.rejects(decodeShareBundle(await deflate('{"v":99,"markers":[]}')), /unsupported version/);
+});